@@ -3,8 +3,8 @@
  * BASKET PAGE - JavaScript
  * ============================================================================
  *
- * Renders the basket contents, handles quantity changes and item removal,
- * and manages the checkout flow.
+ * Renders the basket contents and handles quantity changes and item removal.
+ * The multi-step checkout form itself is handled by checkout.js.
  *
  * This file is responsible for the UI on basket.html.
  * The actual dataLayer pushes happen in basket.js.
@@ -13,30 +13,40 @@
  *   Browse (products.html) -> CART (basket.html) -> Purchase (thankyou.html)
  *
  * GTM EVENTS ON THIS PAGE:
- *   - remove_from_cart: When user removes an item (via basket.js)
- *   - begin_checkout: When user clicks "Proceed to Checkout" (via basket.js)
- *   - purchase: When user completes the fake checkout (via basket.js)
+ *   - add_to_cart: When user clicks "+" on a quantity (via basket.js)
+ *   - remove_from_cart: When user removes an item or clicks "-" (via basket.js)
+ *   - begin_checkout: When user clicks "Proceed to Checkout" (via checkout.js)
+ *   - add_shipping_info / add_payment_info: Checkout steps (via checkout.js)
+ *   - purchase: When user completes the fake checkout (via checkout.js)
  */
 
 document.addEventListener('DOMContentLoaded', function () {
 
-    // Render the basket on page load
-    renderBasket();
-    pushViewCart();
-
-    // Set up checkout form handler
-    setupCheckoutForm();
-
-    // Set up cancel checkout button
-    var cancelBtn = document.getElementById('cancel-checkout-btn');
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', function () {
-            document.getElementById('checkout-section').style.display = 'none';
-            document.getElementById('basket-contents').style.display = 'block';
+    // Reprice stored items from the catalog, then render the basket
+    // If the catalog can't be loaded we still render the stored copy
+    loadCatalog()
+        .then(syncBasketWithCatalog) // From basket.js
+        .catch(function () {
+            console.warn('Basket page: Catalog unavailable - showing stored basket prices');
+        })
+        .then(function () {
             renderBasket();
-            pushViewCart();
+
+            // After a refresh mid-checkout, go straight back to that step
+            // (resumeCheckout from checkout.js) - otherwise this is a cart view.
+            // An empty basket has no items to report (the validator requires them)
+            if (!resumeCheckout() && getBasket().length > 0) {
+                pushViewCart();
+            }
         });
-    }
+
+    // Keep the table in sync when the basket changes in another tab
+    // (BASKET_CHANGE_EVENT from basket.js). No view_cart here - the user
+    // didn't open the cart again. checkout.js handles the checkout view.
+    window.addEventListener(BASKET_CHANGE_EVENT, function () {
+        if (document.getElementById('checkout-section').style.display !== 'none') return;
+        renderBasket();
+    });
 });
 
 /**
@@ -61,7 +71,6 @@ function renderBasket() {
     }
 
     // ---- BASKET WITH ITEMS ----
-    var total = getBasketTotal(); // From basket.js
     var html = '';
 
     // Table header
@@ -83,13 +92,13 @@ function renderBasket() {
         html += '      <strong>' + escapeHtmlBasket(item.item_name) + '</strong>';
         html += '      <br><small class="text-muted">' + escapeHtmlBasket(item.item_id) + '</small>';
         html += '    </div>';
-        html += '    <div class="basket-col-price">' + item.price.toFixed(2) + ' EUR</div>';
+        html += '    <div class="basket-col-price">' + formatMoney(item.price) + '</div>'; // From currency.js
         html += '    <div class="basket-col-quantity">';
         html += '      <button class="qty-btn qty-minus" data-item-id="' + item.item_id + '">-</button>';
         html += '      <span class="qty-value">' + item.quantity + '</span>';
         html += '      <button class="qty-btn qty-plus" data-item-id="' + item.item_id + '">+</button>';
         html += '    </div>';
-        html += '    <div class="basket-col-subtotal"><strong>' + subtotal.toFixed(2) + ' EUR</strong></div>';
+        html += '    <div class="basket-col-subtotal"><strong>' + formatMoney(subtotal) + '</strong></div>';
         html += '    <div class="basket-col-action">';
         html += '      <button class="btn-remove" data-item-id="' + item.item_id + '">Remove</button>';
         html += '    </div>';
@@ -98,9 +107,12 @@ function renderBasket() {
 
     html += '</div>'; // Close basket-table
 
-    // Order total
+    // Coupon code (validated by applyCoupon in basket.js)
+    html += renderCouponForm(basket);
+
+    // Order total (shipping estimated with the default tier until checkout)
     html += '<div class="basket-total">';
-    html += '  <strong>Order Total: ' + total.toFixed(2) + ' EUR</strong>';
+    html += renderBasketTotals();
     html += '</div>';
 
     // Action buttons
@@ -158,62 +170,106 @@ function renderBasket() {
         });
     });
 
+    // Coupon apply / remove
+    var couponForm = document.getElementById('coupon-form');
+    if (couponForm) {
+        couponForm.addEventListener('submit', function (event) {
+            event.preventDefault();
+            var result = applyCoupon(document.getElementById('coupon-code').value); // From basket.js
+
+            if (result.valid) {
+                renderBasket();
+                showNotification('Coupon applied: ' + result.message);
+            } else {
+                var message = document.getElementById('coupon-message');
+                message.textContent = result.message;
+                message.className = 'coupon-message coupon-error';
+            }
+        });
+    }
+
+    var removeCouponBtn = document.getElementById('remove-coupon-btn');
+    if (removeCouponBtn) {
+        removeCouponBtn.addEventListener('click', function () {
+            removeCoupon(); // From basket.js
+            renderBasket();
+            showNotification('Coupon removed');
+        });
+    }
+
     // "Proceed to Checkout" button
+    // startCheckout (from checkout.js) pushes begin_checkout and shows step 1
     var checkoutBtn = document.getElementById('proceed-checkout-btn');
     if (checkoutBtn) {
-        checkoutBtn.addEventListener('click', function () {
-            // =========================================================
-            // GTM REQUIRED: Push begin_checkout event
-            // =========================================================
-            // This tells GTM/GA4 that the user has started the checkout
-            // process. It is an important step in the ecommerce funnel.
-            // The actual dataLayer push happens inside basket.js.
-            // =========================================================
-            pushBeginCheckout(); // From basket.js
-
-            // Show the checkout form, hide the basket table
-            document.getElementById('basket-contents').style.display = 'none';
-            document.getElementById('checkout-section').style.display = 'block';
-        });
+        checkoutBtn.addEventListener('click', startCheckout);
     }
 }
 
 /**
- * Set up the checkout form submission handler
+ * Build the coupon box shown under the basket table
+ *
+ * Shows the input when no coupon is applied, otherwise the applied code
+ * with a Remove button. A stored coupon that no longer fits the basket
+ * (e.g. its GA4 course was removed) is shown with the reason.
  *
- * When the form is submitted:
- * 1. Prevent the default form submission (this is a demo)
- * 2. Push the purchase event to dataLayer (the most important ecommerce event)
- * 3. Redirect to thankyou.html
+ * @param {Array} basket - Basket items
+ * @returns {string} HTML
  */
-function setupCheckoutForm() {
-    var form = document.getElementById('checkout-form');
-    if (!form) return;
-
-    form.addEventListener('submit', function (event) {
-        // Prevent actual form submission - this is just a demo
-        event.preventDefault();
-
-        // =========================================================
-        // GTM REQUIRED: Push purchase event
-        // =========================================================
-        // pushPurchaseEvent (from basket.js) does several things:
-        //   1. Generates a unique transaction_id
-        //   2. Saves the order to localStorage (for thankyou.html)
-        //   3. Pushes the 'purchase' event to dataLayer
-        //   4. Clears the basket from localStorage
-        //
-        // The purchase event is THE MOST IMPORTANT ecommerce event.
-        // Without it, GA4 cannot track revenue and Google Ads
-        // cannot optimize for purchase conversions.
-        // =========================================================
-        pushPurchaseEvent(); // From basket.js
-
-        // Redirect to the thank you page
-        // The thank you page will read the order from localStorage
-        // and display the order summary
-        window.location.href = 'thankyou.html';
-    });
+function renderCouponForm(basket) {
+    var code = getCouponCode(); // From basket.js
+    var html = '<div class="basket-coupon">';
+
+    if (code) {
+        var check = validateCoupon(code, basket);
+        html += '  <span>Coupon <strong>' + escapeHtmlBasket(code) + '</strong>: ';
+        html += check.valid ? escapeHtmlBasket(check.message) : 'not applied. ' + escapeHtmlBasket(check.message);
+        html += '</span>';
+        html += '  <button type="button" id="remove-coupon-btn" class="btn btn-secondary">Remove</button>';
+    } else {
+        html += '  <form id="coupon-form" class="coupon-form">';
+        html += '    <label for="coupon-code">Coupon code</label>';
+        html += '    <input type="text" id="coupon-code" name="coupon" placeholder="e.g. WELCOME10" autocomplete="off">';
+        html += '    <button type="submit" class="btn btn-secondary">Apply</button>';
+        html += '  </form>';
+        html += '  <p id="coupon-message" class="coupon-message"></p>';
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Build the totals block: subtotal, discount, shipping, VAT and order total
+ * Shared by the basket table and the checkout review (checkout.js).
+ *
+ * @param {string} [shippingTier] - Chosen shipping tier; without one the
+ *                                  shipping line is an estimate
+ * @returns {string} HTML
+ */
+function renderBasketTotals(shippingTier) {
+    // Same amounts GA4 receives (converted item by item) - from currency.js / basket.js
+    var reported = convertEcommerce(getCheckoutEcommerceData(shippingTier));
+    var discount = getBasketDiscount(); // From basket.js
+    var html = '';
+
+    if (discount > 0) {
+        html += '  <div>Subtotal: ' + formatMoney(getBasketSubtotal()) + '</div>';
+        html += '  <div class="basket-discount">Discount (' + escapeHtmlBasket(getCouponCode()) + '): -' + formatMoney(discount) + '</div>';
+    }
+
+    html += '  <div class="basket-shipping">' + (shippingTier ? 'Shipping: ' : 'Shipping (' + DEFAULT_SHIPPING_TIER + '): ')
+        + (reported.shipping > 0 ? formatAmount(reported.shipping, reported.currency) : 'Free') + '</div>';
+
+    var freeFrom = SHIPPING_RATES[shippingTier || DEFAULT_SHIPPING_TIER].freeFrom;
+    if (reported.shipping > 0 && freeFrom !== null) {
+        html += '  <div class="basket-shipping-hint">Free shipping from ' + formatMoney(freeFrom) + '</div>';
+    }
+
+    var total = roundForCurrency(reported.value + reported.shipping, reported.currency);
+    html += '  <strong>Order Total: ' + formatAmount(total, reported.currency) + '</strong>';
+    html += '  <div class="basket-tax">incl. VAT ' + formatAmount(reported.tax, reported.currency) + '</div>';
+
+    return html;
 }
 
 /**
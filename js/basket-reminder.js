@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * ABANDONED BASKET REMINDER - JavaScript
+ * ============================================================================
+ *
+ * When a user comes back to the site and their basket hasn't been touched
+ * for a while, a banner at the top of the page reminds them:
+ *   "You left 3 items in your basket (€269.96). [View basket] [x]"
+ *
+ * HOW IT WORKS:
+ * - basket.js keeps 'updated_at' on the stored basket (getBasketAge())
+ * - On page load, if the basket is older than
+ *   BASKET_REMINDER_OPTIONS.minAgeMinutes, the banner is shown - at most
+ *   once per browser session, and never on basket.html itself
+ *
+ * GTM EVENTS (custom, via pushEvent):
+ *   - basket_reminder_shown:   the banner was displayed
+ *   - basket_reminder_clicked: the user clicked "View basket"
+ * Both carry basket_value, basket_currency, basket_item_count and
+ * basket_age_hours, so GTM can build re-engagement triggers such as
+ * "reminder shown for a basket over 100 EUR older than 2 days".
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Reminder settings
+ * minAgeMinutes: basket untouched for at least this long counts as abandoned
+ *                (lower it, e.g. to 1, to test the banner quickly)
+ */
+const BASKET_REMINDER_OPTIONS = {
+    minAgeMinutes: 60
+};
+
+/** sessionStorage key - set once the reminder was shown in this session */
+const BASKET_REMINDER_SESSION_KEY = 'gtm_basket_reminder_shown';
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function () {
+    if (shouldShowBasketReminder()) {
+        showBasketReminder();
+    }
+});
+
+// ============================================================================
+// REMINDER
+// ============================================================================
+
+/**
+ * Decide whether this page view should show the reminder
+ * @returns {boolean}
+ */
+function shouldShowBasketReminder() {
+    // The basket page already shows the basket
+    if (document.getElementById('basket-contents')) return false;
+    if (sessionStorage.getItem(BASKET_REMINDER_SESSION_KEY)) return false;
+
+    var age = getBasketAge(); // From basket.js
+    return age !== null && age >= BASKET_REMINDER_OPTIONS.minAgeMinutes * 60 * 1000;
+}
+
+/**
+ * Build the basket data sent with both reminder events
+ * The value is in the currency the user sees (currency.js).
+ *
+ * @returns {Object} { basket_value, basket_currency, basket_item_count, basket_age_hours }
+ */
+function getBasketReminderData() {
+    return {
+        basket_value: convertFromBase(getBasketTotal()), // From currency.js / basket.js
+        basket_currency: getSelectedCurrency(),
+        basket_item_count: getBasketItemCount(),
+        basket_age_hours: Math.round(getBasketAge() / (60 * 60 * 1000) * 10) / 10
+    };
+}
+
+/**
+ * Show the reminder banner at the top of the page
+ *
+ * GTM REQUIRED: Pushes 'basket_reminder_shown', and 'basket_reminder_clicked'
+ * when "View basket" is clicked (before the browser follows the link).
+ */
+function showBasketReminder() {
+    var main = document.querySelector('main');
+    if (!main) return;
+
+    var data = getBasketReminderData();
+    var count = data.basket_item_count;
+
+    var banner = document.createElement('div');
+    banner.className = 'basket-reminder';
+    banner.setAttribute('role', 'status');
+    banner.innerHTML = ''
+        + '<span>You left ' + count + (count === 1 ? ' item' : ' items') + ' in your basket ('
+        + formatAmount(data.basket_value, data.basket_currency) + ').</span>' // From currency.js
+        + '<a href="basket.html" class="btn basket-reminder-link">View basket</a>'
+        + '<button type="button" class="basket-reminder-close" aria-label="Dismiss">&times;</button>';
+
+    main.insertBefore(banner, main.firstChild);
+    sessionStorage.setItem(BASKET_REMINDER_SESSION_KEY, new Date().toISOString());
+
+    pushEvent('basket_reminder_shown', data); // From dataLayer.js
+    console.log('dataLayer: Pushed basket_reminder_shown -', count, 'items,', data.basket_age_hours, 'hours old');
+
+    banner.querySelector('.basket-reminder-link').addEventListener('click', function () {
+        pushEvent('basket_reminder_clicked', getBasketReminderData());
+        console.log('dataLayer: Pushed basket_reminder_clicked');
+    });
+
+    banner.querySelector('.basket-reminder-close').addEventListener('click', function () {
+        banner.remove();
+    });
+}
+
+// Export reminder functions for debugging via browser console
+window.basketReminderDebug = {
+    show: showBasketReminder,
+    options: BASKET_REMINDER_OPTIONS,
+    reset: function () { sessionStorage.removeItem(BASKET_REMINDER_SESSION_KEY); }
+};
@@ -16,7 +16,30 @@
  *   stale data bleeding into subsequent events
  *
  * LOCALSTORAGE KEY: 'gtm_basket'
- * FORMAT: Array of item objects: [{ item_id, item_name, price, quantity }]
+ * FORMAT (schema version 2):
+ *   {
+ *     version: 2,
+ *     created_at: '2026-01-31T10:00:00.000Z',   // first item added
+ *     updated_at: '2026-01-31T10:05:00.000Z',   // last user change (expiry, basket reminder)
+ *     items: [{ item_id, item_name, item_brand, item_category, item_variant, price, quantity }]
+ *   }
+ * Version 1 was the bare items array; it is migrated on the first read.
+ * Corrupt, unknown-version or expired data is cleared and reported to the
+ * GTM Debug panel, and invalid items are dropped one by one (see
+ * BASKET SCHEMA & MIGRATIONS).
+ *
+ * Product data comes from the catalog (catalog.js / data/products.json).
+ * Stored items are a copy, so syncBasketWithCatalog() refreshes them
+ * whenever the catalog changes (new price, renamed product, ...).
+ *
+ * MULTIPLE TABS: Every basket operation re-reads 'gtm_basket' right before
+ * it writes, so an edit made in another tab is never overwritten by a stale
+ * copy. The 'storage' event keeps the badge (and basket.html, via the
+ * BASKET_CHANGE_EVENT) up to date when another tab changes the basket.
+ *
+ * COUPONS: One coupon code can be applied to the basket (see COUPONS below).
+ * The code is stored under 'gtm_coupon'; the discount itself is always
+ * recalculated from the current basket, never stored.
  */
 
 // ============================================================================
@@ -29,8 +52,111 @@ const BASKET_STORAGE_KEY = 'gtm_basket';
 /** localStorage key for completed order (used by thankyou.html) */
 const ORDER_STORAGE_KEY = 'gtm_last_order';
 
-/** Currency used across all ecommerce events - GTM/GA4 requires ISO 4217 format */
-const CURRENCY = 'EUR';
+/** localStorage key for all past orders (used by orders.html for refunds) */
+const ORDER_HISTORY_STORAGE_KEY = 'gtm_order_history';
+
+/** localStorage key for the transaction id sequence number */
+const TRANSACTION_COUNTER_STORAGE_KEY = 'gtm_transaction_counter';
+
+/** localStorage key for the ledger of purchases already pushed to the dataLayer */
+const PURCHASE_LEDGER_STORAGE_KEY = 'gtm_reported_transactions';
+
+/**
+ * Purchase ledger settings
+ *
+ * maxEntries: ledger entries kept (oldest are dropped)
+ */
+const PURCHASE_LEDGER_OPTIONS = {
+    maxEntries: 100
+};
+
+/** localStorage key for the applied coupon code */
+const COUPON_STORAGE_KEY = 'gtm_coupon';
+
+/** sessionStorage key for the last clicked internal promotion (promotions.js) */
+const PROMOTION_STORAGE_KEY = 'gtm_promotion';
+
+/** DOM event fired on window when another tab changed the basket or coupon */
+const BASKET_CHANGE_EVENT = 'basketchange';
+
+/**
+ * Currency the basket is priced in - GTM/GA4 requires ISO 4217 format
+ * Stored prices are always in this (base) currency; pushEcommerce() converts
+ * pushes to the currency the user selected (currency.js).
+ */
+const CURRENCY = BASE_CURRENCY;
+
+/**
+ * Coupon codes accepted on basket.html
+ *
+ * Types:
+ *   percentage  - 'value' % off every item
+ *   fixed       - 'value' EUR off the order, spread over the items by their share
+ *   category    - 'value' % off items whose item_category is 'category'
+ *   buy_x_get_y - per product line: for every 'buy' units, 'get' more units are free
+ *
+ * Optional 'minTotal': the basket subtotal (before discount) must reach it.
+ *
+ * In 'label', {value} and {minTotal} are EUR amounts - getCouponLabel()
+ * shows them in the selected currency.
+ */
+const COUPONS = {
+    'WELCOME10': { type: 'percentage', value: 10, label: '10% off everything' },
+    'SAVE15':    { type: 'fixed', value: 15, minTotal: 100, label: '{value} off orders over {minTotal}' },
+    'GA4FAN':    { type: 'category', category: 'GA4', value: 20, label: '20% off GA4 courses' },
+    'BUY2GET1':  { type: 'buy_x_get_y', buy: 2, get: 1, label: 'Buy 2, get 1 free (same product)' }
+};
+
+/**
+ * VAT rates (%) per item_category
+ *
+ * Catalog prices INCLUDE VAT (as shown to EU customers). The 'tax' sent
+ * to GA4 is the VAT contained in the discounted item prices - it is not
+ * added on top. Categories not listed use 'default'.
+ */
+const VAT_RATES = {
+    'default': 25,
+    'GTM':  25,
+    'GA4':  25,
+    'GDPR': 25,
+    'SHOP': 25,
+    'VAR':  25,
+    'DBG':  5,    // E-book - reduced rate
+    'SST':  25,
+    'ADS':  25
+};
+
+/**
+ * Shipping costs per shipping_tier (ids match SHIPPING_TIERS in checkout.js)
+ *
+ * cost:     shipping price in BASE_CURRENCY
+ * freeFrom: basket total (after coupon) from which shipping is free;
+ *           null = never free
+ */
+const SHIPPING_RATES = {
+    'standard': { cost: 4.99, freeFrom: 50 },
+    'express':  { cost: 9.99, freeFrom: 150 },
+    'pickup':   { cost: 0, freeFrom: null }
+};
+
+/** Shipping tier used for estimates before the user picks one */
+const DEFAULT_SHIPPING_TIER = 'standard';
+
+/**
+ * Basket behaviour options
+ *
+ * trackQuantityChanges:
+ *   true  - the +/- buttons on basket.html push add_to_cart (+) and
+ *           remove_from_cart (-) carrying only the changed quantity
+ *   false - quantity changes are silent; only a full removal is reported
+ */
+const BASKET_OPTIONS = {
+    trackQuantityChanges: true,
+    expiryDays: 30          // Basket untouched for longer than this is cleared
+};
+
+/** Current version of the 'gtm_basket' storage format */
+const BASKET_SCHEMA_VERSION = 2;
 
 // ============================================================================
 // BASKET STATE MANAGEMENT (localStorage)
@@ -38,25 +164,52 @@ const CURRENCY = 'EUR';
 
 /**
  * Get the current basket from localStorage
+ * Migrates older formats, drops invalid items and clears expired or
+ * corrupt data (see BASKET SCHEMA & MIGRATIONS below).
+ *
  * @returns {Array} Array of basket item objects
  */
 function getBasket() {
-    try {
-        const saved = localStorage.getItem(BASKET_STORAGE_KEY);
-        return saved ? JSON.parse(saved) : [];
-    } catch (error) {
-        console.error('Error reading basket from localStorage:', error);
-        return [];
-    }
+    var envelope = readBasketEnvelope();
+    return envelope ? envelope.items : [];
 }
 
 /**
- * Save the basket to localStorage
+ * Save the basket to localStorage (in the current schema version)
  * @param {Array} basket - Array of basket item objects
  */
 function saveBasket(basket) {
+    var now = new Date().toISOString();
+    var existing = readBasketEnvelope();
+
+    writeBasketEnvelope({
+        version: BASKET_SCHEMA_VERSION,
+        created_at: existing ? existing.created_at : now,
+        updated_at: now,
+        items: basket
+    });
+}
+
+/**
+ * Get how long ago the user last changed the basket
+ * Based on 'updated_at', which only user actions (add, remove, quantity)
+ * move forward - repricing from the catalog keeps it.
+ *
+ * @returns {number|null} Age in ms, or null if there is no basket
+ */
+function getBasketAge() {
+    var envelope = readBasketEnvelope();
+    if (!envelope || envelope.items.length === 0) return null;
+    return Date.now() - Date.parse(envelope.updated_at);
+}
+
+/**
+ * Write a complete basket envelope to localStorage
+ * @param {Object} envelope - { version, created_at, updated_at, items }
+ */
+function writeBasketEnvelope(envelope) {
     try {
-        localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(basket));
+        localStorage.setItem(BASKET_STORAGE_KEY, JSON.stringify(envelope));
     } catch (error) {
         console.error('Error saving basket to localStorage:', error);
     }
@@ -71,6 +224,141 @@ function clearBasket() {
     console.log('Basket cleared from localStorage');
 }
 
+// ============================================================================
+// BASKET SCHEMA & MIGRATIONS
+// ============================================================================
+
+/**
+ * Migrations from older 'gtm_basket' formats
+ * Key = version the data is in, function returns the data in version key + 1.
+ * Add a new entry (and bump BASKET_SCHEMA_VERSION) whenever the format changes.
+ */
+const BASKET_MIGRATIONS = {
+    // v1: bare array of items, no timestamps
+    1: function (items) {
+        var now = new Date().toISOString();
+        return {
+            version: 2,
+            created_at: now,
+            updated_at: now,
+            items: items.map(function (item) {
+                // Very old entries had no brand/category/variant
+                return Object.assign({ item_brand: '', item_category: '', item_variant: '' }, item);
+            })
+        };
+    }
+};
+
+/**
+ * Work out which schema version stored basket data is in
+ * @param {*} data - Parsed 'gtm_basket' value
+ * v1 is a bare array; from v2 on it's an object with an integer 'version'
+ * (2 to BASKET_SCHEMA_VERSION) and an 'items' array.
+ *
+ * @returns {number|null} Version number, or null if it's not a basket this code can read
+ */
+function getBasketDataVersion(data) {
+    if (Array.isArray(data)) return 1;
+    if (data && typeof data === 'object' && Array.isArray(data.items)
+        && Number.isInteger(data.version) && data.version >= 2 && data.version <= BASKET_SCHEMA_VERSION) {
+        return data.version;
+    }
+    return null;
+}
+
+/**
+ * Check one basket item
+ * @param {Object} item - Stored basket item
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function getBasketItemProblem(item) {
+    if (!item || typeof item !== 'object') return 'not an object';
+    if (typeof item.item_id !== 'string' || item.item_id === '') return 'missing item_id';
+    if (typeof item.price !== 'number' || !isFinite(item.price) || item.price < 0) return 'price is not a valid number';
+    if (!Number.isInteger(item.quantity) || item.quantity <= 0) return 'quantity is not an integer > 0';
+    return null;
+}
+
+/**
+ * Remove the stored basket and tell the debug panel why
+ * @param {string} reason - Human-readable reason
+ * @param {Object} [details] - Extra data for the debug panel
+ */
+function discardStoredBasket(reason, details) {
+    localStorage.removeItem(BASKET_STORAGE_KEY);
+    reportDebugIssue('basket', 'Basket cleared - ' + reason, details); // From dataLayer.js
+}
+
+/**
+ * Read, migrate and validate the stored basket
+ *
+ * 1. Corrupt JSON, a non-basket value or a version this code doesn't
+ *    know (newer, not an integer, ...) -> the basket is cleared
+ * 2. Older versions are migrated step by step (BASKET_MIGRATIONS);
+ *    a step that fails clears the basket
+ * 3. A basket not changed for BASKET_OPTIONS.expiryDays -> cleared
+ * 4. Invalid items are dropped, valid ones kept
+ * Anything cleared or dropped is reported to the GTM Debug panel, and a
+ * migrated or repaired basket is written back straight away.
+ *
+ * @returns {Object|null} { version, created_at, updated_at, items } or null if there is no basket
+ */
+function readBasketEnvelope() {
+    var saved = localStorage.getItem(BASKET_STORAGE_KEY);
+    if (!saved) return null;
+
+    var data;
+    try {
+        data = JSON.parse(saved);
+    } catch (error) {
+        discardStoredBasket('stored data is not valid JSON', { error: error.message });
+        return null;
+    }
+
+    var version = getBasketDataVersion(data);
+    if (version === null) {
+        discardStoredBasket('unrecognised format', { stored: data });
+        return null;
+    }
+
+    var changed = false;
+    while (version < BASKET_SCHEMA_VERSION) {
+        try {
+            data = BASKET_MIGRATIONS[version](data);
+        } catch (error) {
+            discardStoredBasket('migration from version ' + version + ' failed', { error: error.message });
+            return null;
+        }
+        console.log('Basket: Migrated stored basket from version', version, 'to', data.version);
+        version = data.version;
+        changed = true;
+    }
+
+    var updatedAt = Date.parse(data.updated_at);
+    var maxAge = BASKET_OPTIONS.expiryDays * 24 * 60 * 60 * 1000;
+    if (isNaN(updatedAt) || Date.now() - updatedAt > maxAge) {
+        discardStoredBasket('expired (not changed for more than ' + BASKET_OPTIONS.expiryDays + ' days)',
+            { updated_at: data.updated_at, items: data.items.length });
+        return null;
+    }
+
+    var validItems = data.items.filter(function (item) {
+        var problem = getBasketItemProblem(item);
+        if (problem) {
+            reportDebugIssue('basket', 'Dropped invalid basket item: ' + problem, { item: item });
+            changed = true;
+        }
+        return !problem;
+    });
+    data.items = validItems;
+
+    if (changed) {
+        writeBasketEnvelope(data);
+    }
+
+    return data;
+}
+
 /**
  * Get the total number of items in the basket
  * This counts total quantity, not unique products
@@ -84,10 +372,10 @@ function getBasketItemCount() {
 }
 
 /**
- * Calculate the total value of all items in the basket
- * @returns {number} Total basket value rounded to 2 decimal places
+ * Calculate the value of all items in the basket BEFORE any coupon
+ * @returns {number} Subtotal rounded to 2 decimal places
  */
-function getBasketTotal() {
+function getBasketSubtotal() {
     const basket = getBasket();
     var total = basket.reduce(function (sum, item) {
         return sum + (item.price * item.quantity);
@@ -96,6 +384,421 @@ function getBasketTotal() {
     return Math.round(total * 100) / 100;
 }
 
+/**
+ * Calculate the total value of all items in the basket, after the coupon
+ * This is the 'value' sent with view_cart, begin_checkout and purchase, so
+ * it is summed from the discounted items exactly like GA4 would.
+ *
+ * @returns {number} Total basket value rounded to 2 decimal places
+ */
+function getBasketTotal() {
+    var total = getBasketEcommerceItems().reduce(function (sum, item) {
+        return sum + (item.price * item.quantity);
+    }, 0);
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Get the total coupon discount on the basket
+ * @returns {number} Subtotal minus total, rounded to 2 decimal places
+ */
+function getBasketDiscount() {
+    return Math.round((getBasketSubtotal() - getBasketTotal()) * 100) / 100;
+}
+
+/**
+ * Build a GA4 ecommerce item from a basket item or product
+ * Every ecommerce push uses this, so all events share the same item shape.
+ *
+ * @param {Object} item - Basket item or catalog item ({ item_id, item_name, item_category, price, ... })
+ * @param {number} [quantity] - Quantity to report (defaults to item.quantity, omitted if neither is set)
+ * @returns {Object} GA4 item object
+ */
+function toEcommerceItem(item, quantity) {
+    var ecommerceItem = {
+        item_id: item.item_id,
+        item_name: item.item_name,
+        item_brand: item.item_brand || '',
+        item_category: item.item_category || '',
+        item_variant: item.item_variant || '',
+        price: item.price
+    };
+
+    var reportedQuantity = quantity !== undefined ? quantity : item.quantity;
+    if (reportedQuantity !== undefined) {
+        ecommerceItem.quantity = reportedQuantity;
+    }
+
+    return ecommerceItem;
+}
+
+/**
+ * Refresh stored basket items from the catalog
+ *
+ * The basket keeps a copy of each product in localStorage. If the catalog
+ * changes (price update, renamed product, new brand/variant), this copies
+ * the current catalog values over the stored ones so totals and ecommerce
+ * pushes always match the catalog. Items no longer in the catalog are kept
+ * but logged, so nothing disappears from the user's basket silently.
+ *
+ * Call after loadCatalog() has resolved.
+ *
+ * @returns {boolean} True if any item was changed
+ */
+function syncBasketWithCatalog() {
+    var basket = getBasket();
+    var changed = false;
+
+    basket = basket.map(function (item) {
+        var catalogProduct = getCatalogProduct(item.item_id);
+        if (!catalogProduct) {
+            console.warn('Basket: Item not found in catalog, keeping stored copy:', item.item_id);
+            return item;
+        }
+
+        var fresh = Object.assign({}, catalogProductToItem(catalogProduct), { quantity: item.quantity });
+        if (JSON.stringify(fresh) !== JSON.stringify(item)) {
+            console.log('Basket: Repriced/updated', item.item_id, 'from catalog');
+            changed = true;
+        }
+        return fresh;
+    });
+
+    if (changed) {
+        // Not a user change - keep updated_at, so the basket's age stays right
+        var envelope = readBasketEnvelope();
+        writeBasketEnvelope(Object.assign({}, envelope, { items: basket }));
+    }
+    return changed;
+}
+
+// ============================================================================
+// COUPONS & PROMOTIONS
+// ============================================================================
+
+/**
+ * Get the coupon code the user applied (valid or not)
+ * @returns {string|null} Upper-case coupon code or null
+ */
+function getCouponCode() {
+    return localStorage.getItem(COUPON_STORAGE_KEY);
+}
+
+/**
+ * Get the text shown for a coupon, with its amounts in the selected currency
+ * @param {Object} coupon - Entry from COUPONS
+ * @returns {string} e.g. '$16.20 off orders over $108.00'
+ */
+function getCouponLabel(coupon) {
+    return coupon.label.replace(/\{(value|minTotal)\}/g, function (match, field) {
+        return formatMoney(coupon[field]); // From currency.js
+    });
+}
+
+/**
+ * Check whether a coupon code can be used with a basket
+ * @param {string} code - Coupon code (case-insensitive)
+ * @param {Array} basket - Basket items
+ * @returns {Object} { valid: boolean, message: string, coupon: Object|null }
+ */
+function validateCoupon(code, basket) {
+    var normalized = String(code || '').trim().toUpperCase();
+    var coupon = COUPONS[normalized];
+
+    if (!normalized) {
+        return { valid: false, message: 'Please enter a coupon code.', coupon: null };
+    }
+    if (!coupon) {
+        return { valid: false, message: 'Coupon "' + normalized + '" does not exist.', coupon: null };
+    }
+
+    if (basket.length === 0) {
+        return { valid: false, message: 'Your basket is empty.', coupon: coupon };
+    }
+
+    var subtotal = basket.reduce(function (sum, item) {
+        return sum + (item.price * item.quantity);
+    }, 0);
+    if (coupon.minTotal && subtotal < coupon.minTotal) {
+        return {
+            valid: false,
+            message: 'Coupon "' + normalized + '" needs a basket of at least ' + formatMoney(coupon.minTotal) + '.',
+            coupon: coupon
+        };
+    }
+
+    if (coupon.type === 'category') {
+        var hasCategory = basket.some(function (item) {
+            return item.item_category === coupon.category;
+        });
+        if (!hasCategory) {
+            return {
+                valid: false,
+                message: 'Coupon "' + normalized + '" only applies to ' + coupon.category + ' products.',
+                coupon: coupon
+            };
+        }
+    }
+
+    if (coupon.type === 'buy_x_get_y') {
+        var qualifies = basket.some(function (item) {
+            return item.quantity >= coupon.buy + coupon.get;
+        });
+        if (!qualifies) {
+            return {
+                valid: false,
+                message: 'Coupon "' + normalized + '" needs ' + (coupon.buy + coupon.get) + ' of the same product in your basket.',
+                coupon: coupon
+            };
+        }
+    }
+
+    return { valid: true, message: getCouponLabel(coupon), coupon: coupon };
+}
+
+/**
+ * Apply a coupon code to the basket
+ * Invalid codes are rejected and the previous coupon (if any) is kept.
+ *
+ * @param {string} code - Coupon code entered by the user
+ * @returns {Object} { valid: boolean, message: string } - message is shown to the user
+ */
+function applyCoupon(code) {
+    var result = validateCoupon(code, getBasket());
+
+    if (result.valid) {
+        localStorage.setItem(COUPON_STORAGE_KEY, String(code).trim().toUpperCase());
+        console.log('Basket: Applied coupon', getCouponCode());
+    } else {
+        console.warn('Basket: Coupon rejected -', result.message);
+    }
+
+    return { valid: result.valid, message: result.message };
+}
+
+/**
+ * Remove the applied coupon
+ */
+function removeCoupon() {
+    localStorage.removeItem(COUPON_STORAGE_KEY);
+}
+
+/**
+ * Get the applied coupon if it still applies to the current basket
+ * (e.g. removing the only GA4 course makes GA4FAN inactive again)
+ *
+ * @returns {Object|null} Coupon definition plus its 'code', or null
+ */
+function getActiveCoupon() {
+    var code = getCouponCode();
+    if (!code) return null;
+
+    var result = validateCoupon(code, getBasket());
+    return result.valid ? Object.assign({ code: code }, result.coupon) : null;
+}
+
+/**
+ * Calculate the per-unit discount a coupon gives one basket line
+ * @param {Object} coupon - Active coupon (from getActiveCoupon)
+ * @param {Object} item - Basket item
+ * @param {number} subtotal - Basket subtotal before discount (for 'fixed')
+ * @returns {number} Discount per unit, rounded to 2 decimal places
+ */
+function getItemUnitDiscount(coupon, item, subtotal) {
+    var discount = 0;
+
+    if (coupon.type === 'percentage') {
+        discount = item.price * coupon.value / 100;
+    } else if (coupon.type === 'category' && item.item_category === coupon.category) {
+        discount = item.price * coupon.value / 100;
+    } else if (coupon.type === 'fixed' && subtotal > 0) {
+        // Spread the fixed amount over the items by their share of the subtotal
+        // (per-unit rounding can make the total a cent off the coupon value)
+        var amount = Math.min(coupon.value, subtotal);
+        discount = amount * item.price / subtotal;
+    } else if (coupon.type === 'buy_x_get_y') {
+        var freeUnits = Math.floor(item.quantity / (coupon.buy + coupon.get)) * coupon.get;
+        discount = item.price * freeUnits / item.quantity;
+    }
+
+    return Math.round(Math.min(discount, item.price) * 100) / 100;
+}
+
+/**
+ * Build the GA4 items for the whole basket with the coupon applied
+ *
+ * Follows the GA4 ecommerce spec for discounted items:
+ *   - price:    the DISCOUNTED unit price
+ *   - discount: the discount per unit
+ *   - coupon:   the coupon code (item-level coupon parameter)
+ * Items the coupon doesn't touch are sent unchanged.
+ *
+ * Used by view_cart, begin_checkout, add_shipping_info, add_payment_info
+ * and purchase.
+ *
+ * @returns {Array} GA4 item objects
+ */
+function getBasketEcommerceItems() {
+    var basket = getBasket();
+    var coupon = getActiveCoupon();
+    var subtotal = basket.reduce(function (sum, item) {
+        return sum + (item.price * item.quantity);
+    }, 0);
+
+    return basket.map(function (item) {
+        var ecommerceItem = toEcommerceItem(item);
+        if (!coupon) return ecommerceItem;
+
+        var unitDiscount = getItemUnitDiscount(coupon, item, subtotal);
+        if (unitDiscount > 0) {
+            ecommerceItem.price = Math.round((item.price - unitDiscount) * 100) / 100;
+            ecommerceItem.discount = unitDiscount;
+            ecommerceItem.coupon = coupon.code;
+        }
+        return ecommerceItem;
+    });
+}
+
+/**
+ * Build the ecommerce object shared by view_cart, begin_checkout,
+ * add_shipping_info and add_payment_info
+ *
+ * @returns {Object} { currency, value, [coupon], items }
+ */
+function getBasketEcommerceData() {
+    var items = getBasketEcommerceItems();
+    var coupon = getActiveCoupon();
+
+    var data = {
+        currency: CURRENCY,
+        value: getBasketTotal()
+    };
+    if (coupon) {
+        data.coupon = coupon.code; // Order-level coupon
+    }
+    data.items = items;
+
+    return data;
+}
+
+// ============================================================================
+// TAX & SHIPPING
+// ============================================================================
+
+/**
+ * Get the VAT rate for an item
+ * @param {Object} item - Basket or ecommerce item (uses item_category)
+ * @returns {number} VAT rate in %
+ */
+function getItemVatRate(item) {
+    return VAT_RATES.hasOwnProperty(item.item_category)
+        ? VAT_RATES[item.item_category]
+        : VAT_RATES['default'];
+}
+
+/**
+ * Calculate the VAT contained in the basket (after the coupon)
+ * @returns {number} Tax rounded to 2 decimal places
+ */
+function getBasketTax() {
+    var tax = getBasketEcommerceItems().reduce(function (sum, item) {
+        var rate = getItemVatRate(item);
+        return sum + (item.price * item.quantity) * rate / (100 + rate);
+    }, 0);
+    return Math.round(tax * 100) / 100;
+}
+
+/**
+ * Calculate the shipping cost for a tier
+ * @param {string} [shippingTier] - Key of SHIPPING_RATES (defaults to DEFAULT_SHIPPING_TIER)
+ * @returns {number} Shipping cost in BASE_CURRENCY (0 when free)
+ */
+function getShippingCost(shippingTier) {
+    var rate = SHIPPING_RATES[shippingTier || DEFAULT_SHIPPING_TIER];
+
+    if (!rate) {
+        console.warn('Basket: Unknown shipping tier', shippingTier);
+        return 0;
+    }
+    if (rate.freeFrom !== null && getBasketTotal() >= rate.freeFrom) {
+        return 0;
+    }
+    return rate.cost;
+}
+
+/**
+ * Build the ecommerce object for checkout events and purchase:
+ * getBasketEcommerceData() plus GA4's 'tax' and 'shipping'
+ *
+ * 'value' stays the items total - GA4 reports tax and shipping separately.
+ *
+ * @param {string} [shippingTier] - Chosen shipping tier (estimate with DEFAULT_SHIPPING_TIER if not chosen yet)
+ * @returns {Object} { currency, value, tax, shipping, [coupon], items }
+ */
+function getCheckoutEcommerceData(shippingTier) {
+    var data = getBasketEcommerceData();
+
+    return Object.assign({
+        currency: data.currency,
+        value: data.value,
+        tax: getBasketTax(),
+        shipping: getShippingCost(shippingTier)
+    }, data);
+}
+
+// ============================================================================
+// PROMOTION ATTRIBUTION
+// ============================================================================
+//
+// When a promotion banner is clicked (select_promotion in promotions.js),
+// the promotion is kept in sessionStorage. Every add_to_cart and purchase
+// that follows in the same browser session carries it on its items, so GA4
+// can credit the promotion with the cart additions and revenue it drove.
+
+/**
+ * Remember the clicked promotion for the rest of the session
+ * @param {Object} promotion - { promotion_id, promotion_name, creative_name, creative_slot }
+ */
+function savePromotionAttribution(promotion) {
+    try {
+        sessionStorage.setItem(PROMOTION_STORAGE_KEY, JSON.stringify({
+            promotion_id: promotion.promotion_id,
+            promotion_name: promotion.promotion_name,
+            creative_name: promotion.creative_name,
+            creative_slot: promotion.creative_slot
+        }));
+    } catch (error) {
+        console.error('Error saving promotion attribution:', error);
+    }
+}
+
+/**
+ * Get the promotion clicked earlier in this session
+ * @returns {Object|null} Promotion fields or null
+ */
+function getPromotionAttribution() {
+    try {
+        var saved = sessionStorage.getItem(PROMOTION_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error reading promotion attribution:', error);
+        return null;
+    }
+}
+
+/**
+ * Copy the session's promotion onto a GA4 item (item-level promotion fields)
+ * @param {Object} ecommerceItem - GA4 item (modified in place)
+ * @returns {Object} The same item
+ */
+function addPromotionAttribution(ecommerceItem) {
+    var promotion = getPromotionAttribution();
+    if (promotion) {
+        Object.assign(ecommerceItem, promotion);
+    }
+    return ecommerceItem;
+}
+
 // ============================================================================
 // BASKET OPERATIONS (with dataLayer pushes)
 // ============================================================================
@@ -103,6 +806,8 @@ function getBasketTotal() {
 /**
  * Add a product to the basket
  *
+ * The product is looked up in the catalog by its id, so the basket always
+ * stores complete GA4 item fields (brand, category, variant, price).
  * If the product already exists, increment its quantity.
  * If it's new, add it with quantity 1.
  *
@@ -111,12 +816,18 @@ function getBasketTotal() {
  * In GTM, you would create a trigger for this event and wire it to
  * a GA4 Event tag to send the data to Google Analytics.
  *
- * @param {Object} product - Product to add
- * @param {string} product.item_id - Unique product identifier (SKU)
- * @param {string} product.item_name - Human-readable product name
- * @param {number} product.price - Product price (number, not string)
+ * @param {string} itemId - Catalog product id (SKU), e.g. 'SKU-001'
+ * @returns {Object|null} The added product (GA4 item fields) or null if the id is unknown
  */
-function addToBasket(product) {
+function addToBasket(itemId) {
+    // Look the product up in the catalog (catalog.js must be loaded)
+    var catalogProduct = getCatalogProduct(itemId);
+    if (!catalogProduct) {
+        console.error('Basket: Unknown product id (or catalog not loaded yet):', itemId);
+        return null;
+    }
+
+    var product = catalogProductToItem(catalogProduct);
     var basket = getBasket();
 
     // Check if product already exists in basket
@@ -135,13 +846,7 @@ function addToBasket(product) {
             'to', basket[existingIndex].quantity);
     } else {
         // New product - add with quantity 1
-        basket.push({
-            item_id: product.item_id,
-            item_name: product.item_name,
-            item_category: product.item_category || '',
-            price: product.price,
-            quantity: 1
-        });
+        basket.push(Object.assign({}, product, { quantity: 1 }));
         console.log('Basket: Added new product', product.item_name);
     }
 
@@ -155,9 +860,9 @@ function addToBasket(product) {
     // WHY: This tells GTM that a user added a product to their cart.
     //       GTM will forward this to GA4 as an ecommerce event.
     //
-    // IMPORTANT: We clear the 'ecommerce' object first to prevent
-    //            stale data from a previous push contaminating this one.
-    //            This is a Google best practice for ecommerce tracking.
+    // IMPORTANT: pushEcommerce() (dataLayer.js) clears the 'ecommerce'
+    //            object first to prevent stale data from a previous push
+    //            contaminating this one. This is a Google best practice.
     //
     // WHAT GTM DOES WITH THIS:
     //   1. GTM trigger fires on event = 'add_to_cart'
@@ -167,26 +872,18 @@ function addToBasket(product) {
     //
     // SCHEMA: https://developers.google.com/analytics/devguides/collection/ga4/ecommerce
     // =========================================================================
-    window.dataLayer.push({ ecommerce: null }); // Clear previous ecommerce data
-    window.dataLayer.push({
-        'event': 'add_to_cart',
-        'ecommerce': {
-            'currency': CURRENCY,
-            'value': product.price,
-            'items': [{
-                'item_name': product.item_name,
-                'item_id': product.item_id,
-                'price': product.price,
-                'item_category': product.item_category,
-                'quantity': 1
-            }]
-        }
+    pushEcommerce('add_to_cart', {
+        currency: CURRENCY,
+        value: product.price,
+        items: [addPromotionAttribution(toEcommerceItem(product, 1))]
     });
 
     console.log('dataLayer: Pushed add_to_cart event for', product.item_name);
 
     // Update the basket counter badge in the navigation
     updateBasketCounter();
+
+    return product;
 }
 
 /**
@@ -238,20 +935,10 @@ function removeFromBasket(itemId) {
     //
     // SCHEMA: Same structure as add_to_cart but with event name 'remove_from_cart'
     // =========================================================================
-    window.dataLayer.push({ ecommerce: null }); // Clear previous ecommerce data
-    window.dataLayer.push({
-        'event': 'remove_from_cart',
-        'ecommerce': {
-            'currency': CURRENCY,
-            'value': removedItem.price * removedItem.quantity,
-            'items': [{
-                'item_name': removedItem.item_name,
-                'item_id': removedItem.item_id,
-                'item_category': removedItem.item_category || '',
-                'price': removedItem.price,
-                'quantity': removedItem.quantity
-            }]
-        }
+    pushEcommerce('remove_from_cart', {
+        currency: CURRENCY,
+        value: Math.round(removedItem.price * removedItem.quantity * 100) / 100,
+        items: [toEcommerceItem(removedItem)]
     });
 
     console.log('dataLayer: Pushed remove_from_cart event for', removedItem.item_name);
@@ -262,33 +949,81 @@ function removeFromBasket(itemId) {
 
 /**
  * Update the quantity of a product in the basket
- * Does NOT push a dataLayer event (quantity changes are not a standard GA4 event).
- * If quantity becomes 0 or less, remove the item entirely (which does push an event).
+ *
+ * GTM: With BASKET_OPTIONS.trackQuantityChanges on, the change itself is
+ * reported - going up pushes 'add_to_cart', going down pushes
+ * 'remove_from_cart', each with ONLY the changed quantity and its value
+ * (e.g. 2 -> 3 reports quantity 1, not 3).
+ *
+ * If quantity becomes 0 or less, the item is removed via removeFromBasket(),
+ * which reports the removal exactly once - no extra quantity-change push.
  *
  * @param {string} itemId - The item_id of the product
  * @param {number} newQuantity - The new quantity
  */
 function updateBasketQuantity(itemId, newQuantity) {
     // If new quantity is zero or less, remove the item
+    // removeFromBasket pushes the single remove_from_cart for what was left
     if (newQuantity <= 0) {
         removeFromBasket(itemId);
         return;
     }
 
     var basket = getBasket();
+    var changedItem = null;
+    var quantityDelta = 0;
 
     for (var i = 0; i < basket.length; i++) {
         if (basket[i].item_id === itemId) {
+            quantityDelta = newQuantity - basket[i].quantity;
             basket[i].quantity = newQuantity;
+            changedItem = basket[i];
             console.log('Basket: Updated quantity for', basket[i].item_name, 'to', newQuantity);
             break;
         }
     }
 
+    if (!changedItem) {
+        console.warn('Basket: Item not found for quantity update:', itemId);
+        return;
+    }
+
     saveBasket(basket);
+
+    if (BASKET_OPTIONS.trackQuantityChanges && quantityDelta !== 0) {
+        pushQuantityChange(changedItem, quantityDelta);
+    }
+
     updateBasketCounter();
 }
 
+/**
+ * Push the ecommerce event for a quantity change
+ *
+ * GA4 has no "quantity changed" event, so a change is expressed as the
+ * standard add/remove events for the difference only.
+ *
+ * @param {Object} item - The basket item that changed
+ * @param {number} quantityDelta - Positive for +, negative for -
+ */
+function pushQuantityChange(item, quantityDelta) {
+    var eventName = quantityDelta > 0 ? 'add_to_cart' : 'remove_from_cart';
+    var changedQuantity = Math.abs(quantityDelta);
+
+    var ecommerceItem = toEcommerceItem(item, changedQuantity);
+    if (quantityDelta > 0) {
+        addPromotionAttribution(ecommerceItem);
+    }
+
+    pushEcommerce(eventName, {
+        currency: CURRENCY,
+        value: Math.round(item.price * changedQuantity * 100) / 100,
+        items: [ecommerceItem]
+    });
+
+    console.log('dataLayer: Pushed', eventName, 'for quantity change of', item.item_name, '(' + quantityDelta + ')');
+}
+
 /**
  * Push the begin_checkout event to dataLayer
  *
@@ -296,10 +1031,12 @@ function updateBasketQuantity(itemId, newQuantity) {
  * Called when the user clicks "Proceed to Checkout" on the basket page.
  * This is an important funnel event -- it tells GA4 that the user has
  * moved from browsing/cart to the checkout step.
+ *
+ * @param {string} [shippingTier] - Shipping tier if already chosen; otherwise
+ *                                  'shipping' is estimated with DEFAULT_SHIPPING_TIER
  */
-function pushBeginCheckout() {
-    var basket = getBasket();
-    var total = getBasketTotal();
+function pushBeginCheckout(shippingTier) {
+    var data = getCheckoutEcommerceData(shippingTier);
 
     // =========================================================================
     // GTM REQUIRED: Push begin_checkout event to dataLayer
@@ -315,52 +1052,145 @@ function pushBeginCheckout() {
     //   4. This data feeds into GA4's checkout funnel visualization
     //
     // NOTE: The 'items' array includes ALL items in the basket, not just one.
-    //       The 'value' is the total basket value.
+    //       The 'value' is the total basket value after any coupon, and
+    //       'coupon' is only present when a coupon applies.
+    //       'tax' (VAT included in the prices) and 'shipping' are sent
+    //       separately and are NOT part of 'value'.
     // =========================================================================
-    window.dataLayer.push({ ecommerce: null }); // Clear previous ecommerce data
-    window.dataLayer.push({
-        'event': 'begin_checkout',
-        'ecommerce': {
-            'currency': CURRENCY,
-            'value': total,
-            'items': basket.map(function (item) {
-                return {
-                    'item_name': item.item_name,
-                    'item_id': item.item_id,
-                    'item_category': item.item_category || '',
-                    'price': item.price,
-                    'quantity': item.quantity
-                };
-            })
-        }
-    });
+    pushEcommerce('begin_checkout', data);
 
-    console.log('dataLayer: Pushed begin_checkout event with', basket.length, 'items, total:', total);
+    console.log('dataLayer: Pushed begin_checkout event with', data.items.length, 'items, total:', data.value);
 }
 
+/**
+ * Push the view_cart event to dataLayer
+ *
+ * GTM REQUIRED: Pushes 'view_cart' event to dataLayer
+ * Called when basket.html renders the basket (and when the user cancels
+ * checkout and returns to the basket view).
+ */
 function pushViewCart() {
-    var basket = getBasket();
-    var total = getBasketTotal();
-
-    window.dataLayer.push({ ecommerce: null });
-    window.dataLayer.push({
-        event: 'view_cart',
-        ecommerce: {
-            currency: CURRENCY,
-            value: total,
-            items: basket.map(function (item) {
-                return {
-                    item_id: item.item_id,
-                    item_name: item.item_name,
-                    item_category: item.item_category || '',
-                    price: item.price,
-                    quantity: item.quantity
-                };
-            })
-        }
+    pushEcommerce('view_cart', getBasketEcommerceData());
+}
+
+/**
+ * Push the add_shipping_info event to dataLayer
+ *
+ * GTM REQUIRED: Pushes 'add_shipping_info' event to dataLayer
+ * Called by checkout.js when the user completes the shipping step.
+ *
+ * @param {string} shippingTier - Chosen shipping method (e.g. 'express')
+ */
+function pushAddShippingInfo(shippingTier) {
+    var data = getCheckoutEcommerceData(shippingTier);
+    data.shipping_tier = shippingTier;
+
+    pushEcommerce('add_shipping_info', data);
+
+    console.log('dataLayer: Pushed add_shipping_info event - shipping_tier:', shippingTier);
+}
+
+/**
+ * Push the add_payment_info event to dataLayer
+ *
+ * GTM REQUIRED: Pushes 'add_payment_info' event to dataLayer
+ * Called by checkout.js when the user completes the payment step.
+ *
+ * @param {string} paymentType - Chosen payment method (e.g. 'credit_card')
+ * @param {string} [shippingTier] - Shipping method chosen in the previous step
+ */
+function pushAddPaymentInfo(paymentType, shippingTier) {
+    var data = getCheckoutEcommerceData(shippingTier);
+    data.payment_type = paymentType;
+
+    pushEcommerce('add_payment_info', data);
+
+    console.log('dataLayer: Pushed add_payment_info event - payment_type:', paymentType);
+}
+
+// ============================================================================
+// TRANSACTION IDS & PURCHASE LEDGER
+// ============================================================================
+//
+// GA4 counts every purchase push as revenue. A double-clicked "Complete
+// Purchase", a back-button resubmit or two orders that happen to get the
+// same random id would all inflate revenue, and GA4 can't undo that.
+//
+// - generateTransactionId() builds ids from the current time plus a
+//   sequence number stored in localStorage, so they never repeat in this
+//   browser and sort in the order they were created.
+// - checkout.js creates the id when the checkout starts (begin_checkout)
+//   and keeps it with the checkout state, so every submit of that checkout
+//   carries the same transaction_id.
+// - Every purchase that is pushed is written to a ledger first. Before the
+//   next purchase is pushed, pushPurchaseEvent() checks the ledger and
+//   blocks (and reports to the debug panel) a transaction_id that was
+//   already reported. Buying the same basket again in a new checkout gets
+//   a new id and goes through.
+
+/**
+ * Create a new, collision-safe transaction id
+ * Format: T-<time in base 36>-<sequence>, e.g. 'T-LZ4K9Q2A-0007'
+ *
+ * @returns {string} Transaction id
+ */
+function generateTransactionId() {
+    var sequence = (parseInt(localStorage.getItem(TRANSACTION_COUNTER_STORAGE_KEY), 10) || 0) + 1;
+    localStorage.setItem(TRANSACTION_COUNTER_STORAGE_KEY, String(sequence));
+
+    var time = Date.now().toString(36).toUpperCase();
+    var paddedSequence = ('000' + sequence.toString(36).toUpperCase()).slice(-4);
+    return 'T-' + time + '-' + paddedSequence;
+}
+
+/**
+ * Get the ledger of purchases already pushed
+ * @returns {Array} [{ transaction_id, reported_at }]
+ */
+function getPurchaseLedger() {
+    try {
+        var saved = localStorage.getItem(PURCHASE_LEDGER_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        console.error('Error reading purchase ledger:', error);
+        return [];
+    }
+}
+
+/**
+ * Record a purchase in the ledger (call BEFORE pushing it)
+ * @param {string} transactionId - transaction_id being pushed
+ */
+function recordPurchaseInLedger(transactionId) {
+    var ledger = getPurchaseLedger();
+    ledger.push({
+        transaction_id: transactionId,
+        reported_at: Date.now()
     });
+
+    try {
+        localStorage.setItem(PURCHASE_LEDGER_STORAGE_KEY,
+            JSON.stringify(ledger.slice(-PURCHASE_LEDGER_OPTIONS.maxEntries)));
+    } catch (error) {
+        console.error('Error saving purchase ledger:', error);
+    }
 }
 
+/**
+ * Find an earlier purchase this one would duplicate
+ * @param {string} transactionId - transaction_id about to be pushed
+ * @returns {Object|null} The matching ledger entry, or null if it's new
+ */
+function findDuplicatePurchase(transactionId) {
+    var ledger = getPurchaseLedger();
+
+    for (var i = ledger.length - 1; i >= 0; i--) {
+        if (ledger[i].transaction_id === transactionId) {
+            return ledger[i];
+        }
+    }
+    return null;
+}
 
 /**
  * Push the purchase event to dataLayer and save order details
@@ -375,32 +1205,63 @@ function pushViewCart() {
  * Without this event, you cannot track revenue in GA4 or set up
  * ROAS (Return on Ad Spend) bidding in Google Ads.
  *
- * @returns {Object} The order object (for display on thank you page)
+ * The push is BLOCKED (and reported in the debug panel) when the basket is
+ * empty or the purchase duplicates one already in the ledger - see
+ * TRANSACTION IDS & PURCHASE LEDGER above.
+ *
+ * @param {Object} [checkoutDetails] - { transaction_id, shipping_tier, payment_type } from
+ *                                      checkout.js; the id was created at begin_checkout,
+ *                                      the rest is saved with the order
+ * @returns {Object|null} The order object (for display on thank you page),
+ *                        or null if the purchase was blocked
  */
-function pushPurchaseEvent() {
-    var basket = getBasket();
-    var total = getBasketTotal();
+function pushPurchaseEvent(checkoutDetails) {
+    // Convert up front: the saved order (thankyou.html, order history,
+    // refunds) must keep the currency and amounts that were reported
+    var data = convertEcommerce(getCheckoutEcommerceData(checkoutDetails && checkoutDetails.shipping_tier)); // From currency.js
+    var total = data.value;
 
-    // Generate a unique transaction ID
+    // An empty basket means the order was already placed (double submit,
+    // back button after the redirect) - never push an empty purchase
+    if (data.items.length === 0) {
+        reportDebugIssue('basket', 'Purchase blocked - the basket is empty (order already placed?)'); // From dataLayer.js
+        return null;
+    }
+
+    // The checkout's transaction ID (created at begin_checkout), or a new one
     // In a real store, this would come from your backend/payment system
-    var transactionId = 'T-' + Math.floor(Math.random() * 1000000);
+    var transactionId = (checkoutDetails && checkoutDetails.transaction_id) || generateTransactionId();
+
+    var duplicate = findDuplicatePurchase(transactionId);
+    if (duplicate) {
+        reportDebugIssue('basket', 'Purchase blocked - duplicate of transaction ' + duplicate.transaction_id, {
+            transaction_id: transactionId,
+            duplicate_of: duplicate.transaction_id,
+            reported_at: new Date(duplicate.reported_at).toISOString()
+        });
+        return null;
+    }
 
     // Build the order object
     var order = {
         transaction_id: transactionId,
         value: total,
-        currency: CURRENCY,
-        items: basket.map(function (item) {
-            return {
-                item_name: item.item_name,
-                item_id: item.item_id,
-                item_category: item.item_category || '',
-                price: item.price,
-                quantity: item.quantity
-            };
-        })
+        tax: data.tax,
+        shipping: data.shipping,
+        currency: data.currency,
+        items: data.items.map(addPromotionAttribution)
     };
 
+    if (data.coupon) {
+        order.coupon = data.coupon;
+        order.discount = convertFromBase(getBasketDiscount(), data.currency);
+    }
+
+    if (checkoutDetails) {
+        order.shipping_tier = checkoutDetails.shipping_tier;
+        order.payment_type = checkoutDetails.payment_type;
+    }
+
     // Save order to localStorage so thankyou.html can display it
     try {
         localStorage.setItem(ORDER_STORAGE_KEY, JSON.stringify(order));
@@ -408,6 +1269,9 @@ function pushPurchaseEvent() {
         console.error('Error saving order:', error);
     }
 
+    // Keep a permanent copy in the order history (orders.html)
+    addOrderToHistory(order);
+
     // =========================================================================
     // GTM REQUIRED: Push purchase event to dataLayer
     // =========================================================================
@@ -426,9 +1290,13 @@ function pushPurchaseEvent() {
     //
     // CRITICAL FIELDS:
     //   - transaction_id: MUST be unique per purchase to avoid duplicate counting
-    //   - value: Total revenue from this purchase
+    //   - value: Total revenue from this purchase (items only)
+    //   - tax: VAT included in the item prices (VAT_RATES per category)
+    //   - shipping: Shipping cost of the chosen tier (SHIPPING_RATES)
     //   - currency: ISO 4217 format (EUR, USD, GBP, etc.)
     //   - items: Array of all purchased products with prices and quantities
+    //   - coupon: Order-level coupon code (only when one was applied; items
+    //             then carry their own 'coupon' and per-unit 'discount')
     //
     // WHAT GTM DOES WITH THIS:
     //   1. GTM trigger fires on event = 'purchase'
@@ -439,21 +1307,27 @@ function pushPurchaseEvent() {
     //
     // SCHEMA: https://developers.google.com/analytics/devguides/collection/ga4/ecommerce
     // =========================================================================
-    window.dataLayer.push({ ecommerce: null }); // Clear previous ecommerce data
-    window.dataLayer.push({
-        'event': 'purchase',
-        'ecommerce': {
-            'transaction_id': transactionId,
-            'value': total,
-            'currency': CURRENCY,
-            'items': order.items
-        }
-    });
+    var purchase = {
+        transaction_id: transactionId,
+        value: total,
+        tax: data.tax,
+        shipping: data.shipping,
+        currency: data.currency
+    };
+    if (data.coupon) {
+        purchase.coupon = data.coupon;
+    }
+    purchase.items = order.items;
+
+    // Write the ledger first, so even a re-entrant second call is caught
+    recordPurchaseInLedger(transactionId);
+    pushEcommerce('purchase', purchase, { convert: false }); // Already converted above
 
-    console.log('dataLayer: Pushed purchase event - Transaction:', transactionId, 'Value:', total, CURRENCY);
+    console.log('dataLayer: Pushed purchase event - Transaction:', transactionId, 'Value:', total, data.currency);
 
-    // Clear the basket after purchase
+    // Clear the basket (and the used coupon) after purchase
     clearBasket();
+    removeCoupon();
 
     // Update the basket counter (should now show 0)
     updateBasketCounter();
@@ -461,6 +1335,178 @@ function pushPurchaseEvent() {
     return order;
 }
 
+// ============================================================================
+// ORDER HISTORY & REFUNDS
+// ============================================================================
+//
+// Every purchase is also appended to 'gtm_order_history', which (unlike
+// 'gtm_last_order') is never cleared. orders.html lists these orders and
+// lets the user refund a whole order or single lines.
+//
+// Each history entry is the order object plus:
+//   created_at:       ISO timestamp of the purchase
+//   status:           'completed' | 'partially_refunded' | 'refunded'
+//   refunded_value:   total refunded so far
+//   refunds:          [{ refunded_at, value, items: [{ item_id, quantity }] }]
+//   items[].refunded_quantity: units of that line refunded so far
+
+/**
+ * Get all past orders (oldest first)
+ * @returns {Array} Order objects
+ */
+function getOrderHistory() {
+    try {
+        var saved = localStorage.getItem(ORDER_HISTORY_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+        console.error('Error reading order history:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the order history
+ * @param {Array} history - Order objects
+ */
+function saveOrderHistory(history) {
+    try {
+        localStorage.setItem(ORDER_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving order history:', error);
+    }
+}
+
+/**
+ * Append a completed order to the history
+ * @param {Object} order - Order object from pushPurchaseEvent()
+ */
+function addOrderToHistory(order) {
+    var history = getOrderHistory();
+    var entry = Object.assign({}, order, {
+        created_at: new Date().toISOString(),
+        status: 'completed',
+        refunded_value: 0,
+        refunds: [],
+        items: order.items.map(function (item) {
+            return Object.assign({}, item, { refunded_quantity: 0 });
+        })
+    });
+
+    history.push(entry);
+    saveOrderHistory(history);
+}
+
+/**
+ * Find a past order by its transaction id
+ * @param {string} transactionId - transaction_id of the purchase
+ * @returns {Object|null} Order from the history
+ */
+function getOrderFromHistory(transactionId) {
+    var history = getOrderHistory();
+    for (var i = 0; i < history.length; i++) {
+        if (history[i].transaction_id === transactionId) return history[i];
+    }
+    return null;
+}
+
+/**
+ * Refund a past order (fully or some of its lines) and push the refund event
+ *
+ * GTM REQUIRED: Pushes 'refund' event to dataLayer
+ * The refund carries the ORIGINAL transaction_id so GA4 can subtract the
+ * refunded revenue from that purchase. Items are sent with the price they
+ * were bought at (after any coupon) and the refunded quantity.
+ *
+ * @param {string} transactionId - transaction_id of the purchase to refund
+ * @param {Array} [lines] - [{ item_id, quantity }] to refund; omit to refund
+ *                          everything not refunded yet
+ * @returns {Object|null} The refund record, or null if nothing could be refunded
+ */
+function pushRefundEvent(transactionId, lines) {
+    var history = getOrderHistory();
+    var order = null;
+    for (var i = 0; i < history.length; i++) {
+        if (history[i].transaction_id === transactionId) {
+            order = history[i];
+            break;
+        }
+    }
+
+    if (!order) {
+        console.warn('Basket: Refund failed - unknown transaction', transactionId);
+        return null;
+    }
+
+    // Work out how many units of each line to refund (never more than is left)
+    var refundItems = [];
+    order.items.forEach(function (item) {
+        var remaining = item.quantity - (item.refunded_quantity || 0);
+        var wanted = remaining;
+
+        if (lines) {
+            wanted = 0;
+            lines.forEach(function (line) {
+                if (line.item_id === item.item_id) wanted += line.quantity;
+            });
+        }
+
+        var quantity = Math.min(wanted, remaining);
+        if (quantity > 0) {
+            item.refunded_quantity = (item.refunded_quantity || 0) + quantity;
+            refundItems.push(toEcommerceItem(item, quantity));
+        }
+    });
+
+    if (refundItems.length === 0) {
+        console.warn('Basket: Nothing left to refund for', transactionId);
+        return null;
+    }
+
+    var value = refundItems.reduce(function (sum, item) {
+        return sum + (item.price * item.quantity);
+    }, 0);
+    value = Math.round(value * 100) / 100;
+
+    var refund = {
+        refunded_at: new Date().toISOString(),
+        value: value,
+        currency: order.currency,
+        items: refundItems.map(function (item) {
+            return { item_id: item.item_id, quantity: item.quantity };
+        })
+    };
+
+    var fullyRefunded = order.items.every(function (item) {
+        return item.refunded_quantity >= item.quantity;
+    });
+
+    order.refunds = (order.refunds || []).concat([refund]);
+    order.refunded_value = Math.round(((order.refunded_value || 0) + value) * 100) / 100;
+    order.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+    saveOrderHistory(history);
+
+    // =========================================================================
+    // GTM REQUIRED: Push refund event to dataLayer
+    // =========================================================================
+    //
+    // WHY: Without refunds, GA4 revenue only ever goes up. The refund event
+    //      subtracts the refunded amount from the original purchase.
+    //
+    // CRITICAL: transaction_id MUST be the id of the original purchase.
+    // =========================================================================
+    // The order's own currency and amounts - never convert them again
+    pushEcommerce('refund', {
+        transaction_id: transactionId,
+        currency: order.currency,
+        value: value,
+        items: refundItems
+    }, { convert: false });
+
+    console.log('dataLayer: Pushed refund event - Transaction:', transactionId, 'Value:', value, order.currency);
+
+    return refund;
+}
+
 /**
  * Get the last completed order from localStorage
  * Used by thankyou.html to display the order summary
@@ -513,13 +1559,37 @@ document.addEventListener('DOMContentLoaded', function () {
     updateBasketCounter();
 });
 
+// Another tab changed the basket (or the coupon): refresh the badge and let
+// page scripts (basket-page.js, checkout.js) re-render.
+// The 'storage' event only fires in OTHER tabs, never in the one that wrote.
+window.addEventListener('storage', function (event) {
+    // key is null when the other tab called localStorage.clear()
+    if (event.key !== null && event.key !== BASKET_STORAGE_KEY && event.key !== COUPON_STORAGE_KEY) {
+        return;
+    }
+
+    console.log('Basket: Changed in another tab - refreshing');
+    updateBasketCounter();
+    window.dispatchEvent(new CustomEvent(BASKET_CHANGE_EVENT, { detail: { key: event.key } }));
+});
+
 // Export basket functions for debugging via browser console
 window.basketDebug = {
     getBasket: getBasket,
     getCount: getBasketItemCount,
     getTotal: getBasketTotal,
+    getAge: getBasketAge,
+    getDiscount: getBasketDiscount,
+    getTax: getBasketTax,
+    getShipping: getShippingCost,
+    applyCoupon: applyCoupon,
+    removeCoupon: removeCoupon,
+    coupons: COUPONS,
     clear: clearBasket,
-    getOrder: getLastOrder
+    getOrder: getLastOrder,
+    getOrderHistory: getOrderHistory,
+    getPurchaseLedger: getPurchaseLedger,
+    refund: pushRefundEvent
 };
 
 console.log('basket.js loaded - use window.basketDebug for manual testing');
@@ -0,0 +1,135 @@
+/**
+ * ============================================================================
+ * PRODUCT CATALOG MODULE
+ * ============================================================================
+ *
+ * Single source of truth for product data (id, name, price, category,
+ * brand, variant, image, description).
+ *
+ * The catalog lives in data/products.json. Every page that needs product
+ * data loads it through loadCatalog() instead of scraping data-* attributes
+ * from the HTML:
+ *   - products.js renders the product grid from it
+ *   - basket.js looks products up by id in addToBasket() and reprices
+ *     stored basket items when the catalog changes
+ *
+ * NOTE: fetch() does not work for pages opened via file:// - serve the site
+ * over HTTP (e.g. `npx serve` or VS Code Live Server) when testing locally.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Location of the catalog JSON file (relative to the HTML pages) */
+const CATALOG_URL = 'data/products.json';
+
+// ============================================================================
+// CATALOG STATE
+// ============================================================================
+
+/** Loaded products (null until loadCatalog() has resolved) */
+var catalogProducts = null;
+
+/** Pending/finished load, shared so the JSON is fetched only once per page */
+var catalogPromise = null;
+
+/**
+ * Load the product catalog
+ * Safe to call many times - the file is fetched only once per page.
+ *
+ * @returns {Promise<Array>} Resolves with the array of catalog products
+ */
+function loadCatalog() {
+    if (catalogPromise) return catalogPromise;
+
+    catalogPromise = fetch(CATALOG_URL)
+        .then(function (response) {
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status + ' while loading ' + CATALOG_URL);
+            }
+            return response.json();
+        })
+        .then(function (data) {
+            var products = (data && Array.isArray(data.products)) ? data.products : [];
+            catalogProducts = products.filter(normalizeCatalogPrice);
+            console.log('Catalog: Loaded', catalogProducts.length, 'products');
+            return catalogProducts;
+        })
+        .catch(function (error) {
+            console.error('Error loading product catalog:', error);
+            catalogPromise = null; // Allow a retry on the next call
+            throw error;
+        });
+
+    return catalogPromise;
+}
+
+/**
+ * Make sure a product's price is a number
+ * Prices typed by hand as text ("49,99" or "49.99 €") are parsed with
+ * parsePrice() - never parseFloat(), which would read "49,99" as 49.
+ * Products without a usable price are left out and reported.
+ *
+ * @param {Object} product - Product from products.json (price is fixed in place)
+ * @returns {boolean} True if the product has a valid price
+ */
+function normalizeCatalogPrice(product) {
+    var price = parsePrice(product.price); // From format.js
+
+    if (isNaN(price) || price < 0) {
+        reportDebugIssue('catalog', 'Product "' + product.id + '" has an invalid price and was skipped', { price: product.price }); // From dataLayer.js
+        return false;
+    }
+
+    product.price = price;
+    return true;
+}
+
+/**
+ * Get all loaded catalog products
+ * @returns {Array} Catalog products (empty until loadCatalog() has resolved)
+ */
+function getCatalogProducts() {
+    return catalogProducts || [];
+}
+
+/**
+ * Look up a single product by its id (SKU)
+ * @param {string} productId - Product id, e.g. 'SKU-001'
+ * @returns {Object|null} Catalog product or null if unknown / not loaded yet
+ */
+function getCatalogProduct(productId) {
+    var products = getCatalogProducts();
+    for (var i = 0; i < products.length; i++) {
+        if (products[i].id === productId) {
+            return products[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Convert a catalog product into the item shape used by the basket
+ * (GA4 field names, so it can go straight into toEcommerceItem()).
+ *
+ * @param {Object} product - Catalog product
+ * @returns {Object} Item with GA4 field names (no quantity)
+ */
+function catalogProductToItem(product) {
+    return {
+        item_id: product.id,
+        item_name: product.name,
+        item_brand: product.brand || '',
+        item_category: product.category || '',
+        item_variant: product.variant || '',
+        price: product.price
+    };
+}
+
+// Export catalog functions for debugging via browser console
+window.catalogDebug = {
+    load: loadCatalog,
+    getAll: getCatalogProducts,
+    get: getCatalogProduct
+};
@@ -0,0 +1,564 @@
+/**
+ * ============================================================================
+ * MULTI-STEP CHECKOUT - JavaScript
+ * ============================================================================
+ *
+ * Runs the four-step checkout on basket.html:
+ *
+ *   1. contact   - name + email
+ *   2. shipping  - shipping method   -> add_shipping_info (shipping_tier)
+ *   3. payment   - payment method    -> add_payment_info (payment_type)
+ *   4. review    - Complete Purchase -> purchase, redirect to thankyou.html
+ *
+ * ECOMMERCE FUNNEL STEP 3:
+ *   Browse -> Cart -> CHECKOUT (begin_checkout, add_shipping_info,
+ *   add_payment_info) -> Purchase
+ *
+ * STATE:
+ * The current step and the choices made so far are saved in sessionStorage
+ * (key 'gtm_checkout_state') and every step gets its own browser history
+ * entry (#checkout-contact, #checkout-shipping, ...). A refresh resumes at
+ * the same step, and the browser back/forward buttons move between steps.
+ * The fake card number is never stored.
+ *
+ * The dataLayer pushes themselves happen in basket.js.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** sessionStorage key for checkout progress (cleared on purchase/cancel) */
+const CHECKOUT_STATE_KEY = 'gtm_checkout_state';
+
+/** Checkout steps in order */
+const CHECKOUT_STEPS = ['contact', 'shipping', 'payment', 'review'];
+
+/** Shipping methods - 'id' is sent to GA4 as shipping_tier (costs: SHIPPING_RATES in basket.js) */
+const SHIPPING_TIERS = [
+    { id: 'standard', label: 'Standard delivery (3-5 days)' },
+    { id: 'express', label: 'Express delivery (1-2 days)' },
+    { id: 'pickup', label: 'Pick up in store' }
+];
+
+/** Payment methods - 'id' is sent to GA4 as payment_type */
+const PAYMENT_TYPES = [
+    { id: 'credit_card', label: 'Credit card' },
+    { id: 'paypal', label: 'PayPal' },
+    { id: 'bank_transfer', label: 'Bank transfer' }
+];
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function () {
+    if (!document.getElementById('checkout-form')) return;
+
+    renderCheckoutOptions('checkout-shipping-options', 'shipping_tier', SHIPPING_TIERS);
+    renderCheckoutOptions('checkout-payment-options', 'payment_type', PAYMENT_TYPES);
+
+    setupCheckoutForm();
+
+    // Browser back/forward moves between checkout steps
+    window.addEventListener('popstate', handleCheckoutPopState);
+
+    // Basket changed in another tab (BASKET_CHANGE_EVENT from basket.js)
+    window.addEventListener(BASKET_CHANGE_EVENT, handleCheckoutBasketChange);
+});
+
+// ============================================================================
+// CHECKOUT STATE (sessionStorage)
+// ============================================================================
+
+/**
+ * Get the saved checkout progress
+ * @returns {Object|null} { step, transaction_id, name, email, shipping_tier, payment_type } or null
+ */
+function getCheckoutState() {
+    try {
+        var saved = sessionStorage.getItem(CHECKOUT_STATE_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error reading checkout state:', error);
+        return null;
+    }
+}
+
+/**
+ * Save checkout progress
+ * @param {Object} state - Checkout state object
+ */
+function saveCheckoutState(state) {
+    try {
+        sessionStorage.setItem(CHECKOUT_STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.error('Error saving checkout state:', error);
+    }
+}
+
+/**
+ * Forget checkout progress (after purchase or cancel)
+ */
+function clearCheckoutState() {
+    sessionStorage.removeItem(CHECKOUT_STATE_KEY);
+}
+
+/**
+ * Find the furthest step the saved state allows
+ * Prevents landing on "review" (e.g. via a stale history entry) without
+ * a shipping or payment method chosen.
+ *
+ * @param {Object} state - Checkout state
+ * @param {string} wantedStep - The step we'd like to show
+ * @returns {string} wantedStep, or the first step that is still incomplete
+ */
+function clampCheckoutStep(state, wantedStep) {
+    var required = {
+        shipping: state.name && state.email,
+        payment: state.shipping_tier,
+        review: state.payment_type
+    };
+
+    var wantedIndex = Math.max(CHECKOUT_STEPS.indexOf(wantedStep), 0);
+    for (var i = 1; i <= wantedIndex; i++) {
+        if (!required[CHECKOUT_STEPS[i]]) {
+            return CHECKOUT_STEPS[i - 1];
+        }
+    }
+    return CHECKOUT_STEPS[wantedIndex];
+}
+
+// ============================================================================
+// STARTING / RESUMING / LEAVING CHECKOUT
+// ============================================================================
+
+/**
+ * Start a new checkout (called by "Proceed to Checkout" in basket-page.js)
+ *
+ * GTM REQUIRED: Pushes begin_checkout (via basket.js)
+ */
+function startCheckout() {
+    // =========================================================
+    // GTM REQUIRED: Push begin_checkout event
+    // =========================================================
+    // This tells GTM/GA4 that the user has started the checkout
+    // process. It is an important step in the ecommerce funnel.
+    // The actual dataLayer push happens inside basket.js.
+    // =========================================================
+    pushBeginCheckout(); // From basket.js
+
+    var previous = getCheckoutState() || {};
+    var state = {
+        step: 'contact',
+        // One id per checkout: a double submit repeats it and is blocked,
+        // buying the same basket again later gets a new one
+        transaction_id: generateTransactionId(), // From basket.js
+        name: previous.name || '',
+        email: previous.email || '',
+        shipping_tier: previous.shipping_tier || '',
+        payment_type: previous.payment_type || ''
+    };
+    saveCheckoutState(state);
+
+    showCheckoutSection(true);
+    goToCheckoutStep('contact');
+}
+
+/**
+ * Resume a checkout after a refresh or back/forward navigation
+ * Called by basket-page.js once the basket has been rendered.
+ *
+ * @returns {boolean} True if a checkout in progress was resumed
+ */
+function resumeCheckout() {
+    var state = getCheckoutState();
+    if (!state || !state.step) return false;
+
+    // Nothing left to check out (e.g. back button after a purchase)
+    if (getBasket().length === 0) {
+        clearCheckoutState();
+        return false;
+    }
+
+    var step = clampCheckoutStep(state, state.step);
+    showCheckoutSection(true);
+    showCheckoutStep(step);
+
+    // Make sure the current history entry describes this step
+    history.replaceState({ checkoutStep: step }, '', '#checkout-' + step);
+
+    console.log('Checkout: Resumed at step', step);
+    return true;
+}
+
+/**
+ * Leave the checkout and return to the basket table
+ * @param {boolean} forget - True to also clear the saved progress
+ */
+function leaveCheckout(forget) {
+    if (forget) {
+        clearCheckoutState();
+    } else {
+        var state = getCheckoutState();
+        if (state) {
+            state.step = null;
+            saveCheckoutState(state);
+        }
+    }
+
+    showCheckoutSection(false);
+    renderBasket(); // From basket-page.js
+
+    // Basket emptied in another tab - nothing to report as a cart view
+    if (getBasket().length > 0) {
+        pushViewCart(); // From basket.js
+    }
+}
+
+/**
+ * Handle browser back/forward between checkout steps
+ * @param {PopStateEvent} event
+ */
+function handleCheckoutPopState(event) {
+    var wantedStep = event.state && event.state.checkoutStep;
+    var state = getCheckoutState();
+
+    if (!wantedStep || !state || getBasket().length === 0) {
+        // Navigated back to the plain basket view
+        if (document.getElementById('checkout-section').style.display !== 'none') {
+            leaveCheckout(false);
+        }
+        return;
+    }
+
+    var step = clampCheckoutStep(state, wantedStep);
+    state.step = step;
+    saveCheckoutState(state);
+
+    showCheckoutSection(true);
+    showCheckoutStep(step);
+}
+
+/**
+ * Keep an open checkout in line with a basket changed in another tab
+ * An emptied basket (e.g. the order was placed in the other tab) ends the
+ * checkout; otherwise the review step is redrawn with the new contents.
+ */
+function handleCheckoutBasketChange() {
+    if (document.getElementById('checkout-section').style.display === 'none') return;
+
+    if (getBasket().length === 0) {
+        showNotification('Your basket was emptied in another tab');
+        leaveCheckout(true);
+        return;
+    }
+
+    var state = getCheckoutState();
+    if (state && state.step === 'review') {
+        renderCheckoutReview(state);
+    }
+}
+
+// ============================================================================
+// STEP NAVIGATION
+// ============================================================================
+
+/**
+ * Move to a step: save it, add a history entry and show it
+ * @param {string} step - One of CHECKOUT_STEPS
+ */
+function goToCheckoutStep(step) {
+    var state = getCheckoutState() || {};
+    state.step = step;
+    saveCheckoutState(state);
+
+    history.pushState({ checkoutStep: step }, '', '#checkout-' + step);
+    showCheckoutStep(step);
+}
+
+/**
+ * Show/hide the checkout section vs. the basket table
+ * @param {boolean} visible - True to show the checkout
+ */
+function showCheckoutSection(visible) {
+    document.getElementById('basket-contents').style.display = visible ? 'none' : 'block';
+    document.getElementById('checkout-section').style.display = visible ? 'block' : 'none';
+}
+
+/**
+ * Display one step: toggle fieldsets, step indicator and buttons,
+ * and fill the inputs from the saved state
+ *
+ * @param {string} step - One of CHECKOUT_STEPS
+ */
+function showCheckoutStep(step) {
+    var state = getCheckoutState() || {};
+    var stepIndex = CHECKOUT_STEPS.indexOf(step);
+
+    document.querySelectorAll('.checkout-step').forEach(function (fieldset) {
+        fieldset.style.display = fieldset.getAttribute('data-step') === step ? 'block' : 'none';
+    });
+
+    document.querySelectorAll('.checkout-steps li').forEach(function (li) {
+        var liIndex = CHECKOUT_STEPS.indexOf(li.getAttribute('data-step'));
+        li.classList.toggle('active', liIndex === stepIndex);
+        li.classList.toggle('done', liIndex < stepIndex);
+    });
+
+    document.getElementById('checkout-back-btn').style.display = stepIndex > 0 ? 'inline-block' : 'none';
+    document.getElementById('checkout-next-btn').style.display = step !== 'review' ? 'inline-block' : 'none';
+    document.getElementById('checkout-submit-btn').style.display = step === 'review' ? 'inline-block' : 'none';
+
+    // Restore previously entered values
+    document.getElementById('checkout-name').value = state.name || '';
+    document.getElementById('checkout-email').value = state.email || '';
+    checkRadio('shipping_tier', state.shipping_tier);
+    checkRadio('payment_type', state.payment_type);
+    updateCardFieldVisibility();
+
+    if (step === 'review') {
+        renderCheckoutReview(state);
+    }
+}
+
+/**
+ * Validate the current step, record its values, push its GA4 event
+ * and move on to the next step
+ */
+function handleCheckoutNext() {
+    var state = getCheckoutState() || {};
+    var step = state.step || 'contact';
+
+    if (!validateCheckoutStep(step)) return;
+
+    if (step === 'contact') {
+        state.name = document.getElementById('checkout-name').value.trim();
+        state.email = document.getElementById('checkout-email').value.trim();
+    }
+
+    if (step === 'shipping') {
+        state.shipping_tier = getCheckedValue('shipping_tier');
+        saveCheckoutState(state);
+
+        // GTM REQUIRED: add_shipping_info with the chosen shipping_tier
+        pushAddShippingInfo(state.shipping_tier); // From basket.js
+    }
+
+    if (step === 'payment') {
+        state.payment_type = getCheckedValue('payment_type');
+        saveCheckoutState(state);
+
+        // GTM REQUIRED: add_payment_info with the chosen payment_type
+        pushAddPaymentInfo(state.payment_type, state.shipping_tier); // From basket.js
+    }
+
+    saveCheckoutState(state);
+    goToCheckoutStep(CHECKOUT_STEPS[CHECKOUT_STEPS.indexOf(step) + 1]);
+}
+
+/**
+ * Check the inputs of one step
+ * Uses the browser's built-in validation messages (reportValidity).
+ *
+ * @param {string} step - One of CHECKOUT_STEPS
+ * @returns {boolean} True if the step is complete
+ */
+function validateCheckoutStep(step) {
+    if (step === 'contact') {
+        return document.getElementById('checkout-name').reportValidity()
+            && document.getElementById('checkout-email').reportValidity();
+    }
+
+    if (step === 'shipping' && !getCheckedValue('shipping_tier')) {
+        showNotification('Please choose a shipping method');
+        return false;
+    }
+
+    if (step === 'payment') {
+        if (!getCheckedValue('payment_type')) {
+            showNotification('Please choose a payment method');
+            return false;
+        }
+        if (getCheckedValue('payment_type') === 'credit_card') {
+            return document.getElementById('checkout-card').reportValidity();
+        }
+    }
+
+    return true;
+}
+
+// ============================================================================
+// FORM SETUP
+// ============================================================================
+
+/**
+ * Set up the step buttons and the final form submission handler
+ *
+ * When the form is submitted (review step):
+ * 1. Prevent the default form submission (this is a demo)
+ * 2. Push the purchase event to dataLayer (the most important ecommerce event)
+ * 3. Redirect to thankyou.html
+ */
+function setupCheckoutForm() {
+    var form = document.getElementById('checkout-form');
+
+    document.getElementById('checkout-next-btn').addEventListener('click', handleCheckoutNext);
+
+    document.getElementById('checkout-back-btn').addEventListener('click', function () {
+        var state = getCheckoutState() || {};
+        var stepIndex = CHECKOUT_STEPS.indexOf(state.step);
+        if (stepIndex > 0) {
+            goToCheckoutStep(CHECKOUT_STEPS[stepIndex - 1]);
+        }
+    });
+
+    document.getElementById('cancel-checkout-btn').addEventListener('click', function () {
+        leaveCheckout(true);
+        history.pushState(null, '', window.location.pathname);
+    });
+
+    // Card number is only needed for card payments
+    document.getElementById('checkout-payment-options').addEventListener('change', updateCardFieldVisibility);
+
+    form.addEventListener('submit', function (event) {
+        // Prevent actual form submission - this is just a demo
+        event.preventDefault();
+
+        // Pressing Enter on an earlier step means "Continue"
+        var state = getCheckoutState() || {};
+        if (state.step !== 'review') {
+            handleCheckoutNext();
+            return;
+        }
+
+        // =========================================================
+        // GTM REQUIRED: Push purchase event
+        // =========================================================
+        // pushPurchaseEvent (from basket.js) does several things:
+        //   1. Uses this checkout's transaction_id (blocked if already reported)
+        //   2. Saves the order to localStorage (for thankyou.html)
+        //   3. Pushes the 'purchase' event to dataLayer
+        //   4. Clears the basket from localStorage
+        //
+        // The purchase event is THE MOST IMPORTANT ecommerce event.
+        // Without it, GA4 cannot track revenue and Google Ads
+        // cannot optimize for purchase conversions.
+        // =========================================================
+
+        // Ignore a second click while the first submit is redirecting
+        var submitBtn = document.getElementById('checkout-submit-btn');
+        if (submitBtn.disabled) return;
+        submitBtn.disabled = true;
+
+        var order = pushPurchaseEvent({
+            transaction_id: state.transaction_id,
+            shipping_tier: state.shipping_tier,
+            payment_type: state.payment_type
+        });
+
+        clearCheckoutState();
+
+        // Blocked as a duplicate (see the purchase ledger in basket.js)
+        if (!order) {
+            submitBtn.disabled = false;
+            showNotification('This order has already been placed');
+            leaveCheckout(true);
+            return;
+        }
+
+        // Redirect to the thank you page
+        // The thank you page will read the order from localStorage
+        // and display the order summary
+        window.location.href = 'thankyou.html';
+    });
+}
+
+/**
+ * Render a group of radio buttons from a config list
+ * @param {string} containerId - Element to render into
+ * @param {string} name - Radio group name
+ * @param {Array} options - [{ id, label }]
+ */
+function renderCheckoutOptions(containerId, name, options) {
+    var container = document.getElementById(containerId);
+    if (!container) return;
+
+    var html = '';
+    options.forEach(function (option) {
+        html += '<label class="checkout-option">';
+        html += '  <input type="radio" name="' + name + '" value="' + option.id + '">';
+        html += '  <span>' + escapeHtmlBasket(option.label) + '</span>'; // From basket-page.js
+        html += '</label>';
+    });
+    container.innerHTML = html;
+}
+
+/**
+ * Render the order review (last step)
+ * @param {Object} state - Checkout state
+ */
+function renderCheckoutReview(state) {
+    var container = document.getElementById('checkout-review');
+    var basket = getBasket();
+
+    var html = '<ul class="checkout-review-items">';
+    basket.forEach(function (item) {
+        html += '<li>' + item.quantity + ' &times; ' + escapeHtmlBasket(item.item_name)
+            + ' <span>' + formatMoney(item.price * item.quantity) + '</span></li>'; // From currency.js
+    });
+    html += '</ul>';
+
+    html += '<p><strong>Contact:</strong> ' + escapeHtmlBasket(state.name) + ' &lt;' + escapeHtmlBasket(state.email) + '&gt;</p>';
+    html += '<p><strong>Shipping:</strong> ' + escapeHtmlBasket(getOptionLabel(SHIPPING_TIERS, state.shipping_tier)) + '</p>';
+    html += '<p><strong>Payment:</strong> ' + escapeHtmlBasket(getOptionLabel(PAYMENT_TYPES, state.payment_type)) + '</p>';
+    html += '<div class="basket-total">' + renderBasketTotals(state.shipping_tier) + '</div>'; // From basket-page.js
+
+    container.innerHTML = html;
+}
+
+// ============================================================================
+// SMALL HELPERS
+// ============================================================================
+
+/**
+ * Show the card number field only for card payments
+ */
+function updateCardFieldVisibility() {
+    var group = document.getElementById('checkout-card-group');
+    if (group) {
+        group.style.display = getCheckedValue('payment_type') === 'credit_card' ? 'block' : 'none';
+    }
+}
+
+/**
+ * @param {string} name - Radio group name
+ * @returns {string} Value of the checked radio, or '' if none
+ */
+function getCheckedValue(name) {
+    var checked = document.querySelector('input[name="' + name + '"]:checked');
+    return checked ? checked.value : '';
+}
+
+/**
+ * Check the radio with the given value (or uncheck all if empty)
+ * @param {string} name - Radio group name
+ * @param {string} value - Value to check
+ */
+function checkRadio(name, value) {
+    document.querySelectorAll('input[name="' + name + '"]').forEach(function (radio) {
+        radio.checked = radio.value === value;
+    });
+}
+
+/**
+ * @param {Array} options - SHIPPING_TIERS or PAYMENT_TYPES
+ * @param {string} id - Option id
+ * @returns {string} Human-readable label
+ */
+function getOptionLabel(options, id) {
+    for (var i = 0; i < options.length; i++) {
+        if (options[i].id === id) return options[i].label;
+    }
+    return id || '';
+}
@@ -0,0 +1,149 @@
+/**
+ * ============================================================================
+ * CONSENT CATEGORIES - Configuration
+ * ============================================================================
+ *
+ * The one place that defines what the cookie banner asks for. consent.js
+ * renders the banner toggles, the Cookie Settings pre-fill and the
+ * Accept All / Reject All / Save choices from CONSENT_CATEGORIES, and the
+ * debug panel (debug.js) shows every key listed here.
+ *
+ * EACH CATEGORY:
+ *   id           - Used for the checkbox id ('consent-<id>'), keep it unique
+ *   label        - Toggle title in the banner
+ *   description  - Text under the title
+ *   consentTypes - Google Consent Mode v2 keys this toggle grants or denies
+ *                  (every key may belong to ONE category only)
+ *   mandatory    - true: always granted, shown as a toggle that can't be
+ *                  switched off (e.g. security_storage)
+ *   deniedByPrivacySignals - true: always denied while the browser sends
+ *                  Global Privacy Control or Do Not Track (CCPA/CPRA "do not
+ *                  sell or share" - advertising)
+ *
+ * EXAMPLE - separate toggles for ad_user_data and ad_personalization:
+ * set the advertising category's consentTypes to ['ad_storage'] and add
+ *   { id: 'ad-user-data', label: 'Ad User Data', description: '...',
+ *     consentTypes: ['ad_user_data'], deniedByPrivacySignals: true },
+ *   { id: 'ad-personalization', label: 'Personalized Ads', description: '...',
+ *     consentTypes: ['ad_personalization'], deniedByPrivacySignals: true }
+ * Saved choices are stored per Consent Mode key, so they keep working.
+ *
+ * REGIONS (CONSENT_REGION_RULES): which default consent a visitor starts
+ * with, and whether the banner is shown. consent-region.js turns the rules
+ * into gtag('consent', 'default', { ..., region: [...] }) calls.
+ *
+ * This file is loaded in the <head> of every page, BEFORE GTM - keep it
+ * plain data (no DOM access, nothing from other scripts).
+ */
+
+/** Banner categories, in display order */
+const CONSENT_CATEGORIES = [
+    {
+        id: 'necessary',
+        label: 'Strictly Necessary Cookies',
+        description: 'Needed for the site to work securely (fraud prevention, authentication). '
+            + 'They can\'t be switched off.',
+        consentTypes: ['security_storage'],
+        mandatory: true
+    },
+    {
+        id: 'analytics',
+        label: 'Analytics Cookies',
+        description: 'Help us understand how visitors interact with our website by collecting '
+            + 'and reporting information anonymously. Examples: Google Analytics.',
+        consentTypes: ['analytics_storage']
+    },
+    {
+        id: 'advertising',
+        label: 'Advertising Cookies',
+        description: 'Used to make advertising messages more relevant to you. They perform functions '
+            + 'like preventing the same ad from continuously reappearing, ensuring ads display '
+            + 'properly, and in some cases selecting ads based on your interests.',
+        consentTypes: ['ad_storage', 'ad_user_data', 'ad_personalization'],
+        deniedByPrivacySignals: true
+    },
+    {
+        id: 'functionality',
+        label: 'Functionality Cookies',
+        description: 'Enable enhanced functionality and personalization, such as remembering your '
+            + 'language preference or region. These are often considered "necessary" for '
+            + 'basic site functionality.',
+        consentTypes: ['functionality_storage']
+    },
+    {
+        id: 'personalization',
+        label: 'Personalization Cookies',
+        description: 'Allow the website to remember choices you make (like username or language) '
+            + 'and provide enhanced, more personal features. Examples: video player '
+            + 'preferences, customized content recommendations.',
+        consentTypes: ['personalization_storage']
+    }
+];
+
+/** Labels and icons of the Consent Mode v2 keys (debug panel) */
+const CONSENT_TYPE_INFO = {
+    analytics_storage:       { label: 'Analytics Storage', icon: '📊' },
+    ad_storage:              { label: 'Ad Storage', icon: '📢' },
+    ad_user_data:            { label: 'Ad User Data', icon: '👤' },
+    ad_personalization:      { label: 'Ad Personalization', icon: '🎯' },
+    functionality_storage:   { label: 'Functionality Storage', icon: '⚙️' },
+    personalization_storage: { label: 'Personalization Storage', icon: '✨' },
+    security_storage:        { label: 'Security Storage', icon: '🔒' }
+};
+
+// ============================================================================
+// REGIONS
+// ============================================================================
+
+/**
+ * Region rules - which defaults apply where, and where the banner is needed
+ *
+ *   id             - Shown in the debug panel, used by ?consent_region=<id>
+ *   regions        - ISO 3166 codes for Consent Mode's 'region' parameter;
+ *                    null = every other region (exactly ONE rule has null)
+ *   defaultConsent - 'denied' or 'granted' for all non-mandatory keys
+ *   showBanner     - false: no banner on first visit (Cookie Settings still works)
+ */
+const CONSENT_REGION_RULES = [
+    {
+        id: 'eea_uk',
+        label: 'EEA & UK (GDPR)',
+        regions: [
+            'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+            'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+            'IS', 'LI', 'NO', // EEA, not EU
+            'GB'
+        ],
+        defaultConsent: 'denied',
+        showBanner: true
+    },
+    {
+        id: 'rest_of_world',
+        label: 'Rest of the world',
+        regions: null,
+        defaultConsent: 'granted',
+        showBanner: false
+    }
+];
+
+/** Rule used when the visitor's country can't be worked out - the strict one */
+const CONSENT_REGION_UNKNOWN_RULE = 'eea_uk';
+
+/**
+ * Browser time zone -> country, used to pick the rule on the page
+ * (Google itself decides the 'region' defaults from the visitor's IP).
+ * A time zone that isn't listed counts as "outside all listed regions".
+ */
+const CONSENT_REGION_TIMEZONES = {
+    'Europe/Vienna': 'AT', 'Europe/Brussels': 'BE', 'Europe/Sofia': 'BG', 'Europe/Zagreb': 'HR',
+    'Asia/Nicosia': 'CY', 'Asia/Famagusta': 'CY', 'Europe/Nicosia': 'CY', 'Europe/Prague': 'CZ',
+    'Europe/Copenhagen': 'DK', 'Europe/Tallinn': 'EE', 'Europe/Helsinki': 'FI', 'Europe/Mariehamn': 'FI',
+    'Europe/Paris': 'FR', 'Europe/Berlin': 'DE', 'Europe/Busingen': 'DE', 'Europe/Athens': 'GR',
+    'Europe/Budapest': 'HU', 'Europe/Dublin': 'IE', 'Europe/Rome': 'IT', 'Europe/Riga': 'LV',
+    'Europe/Vilnius': 'LT', 'Europe/Luxembourg': 'LU', 'Europe/Malta': 'MT', 'Europe/Amsterdam': 'NL',
+    'Europe/Warsaw': 'PL', 'Europe/Lisbon': 'PT', 'Atlantic/Azores': 'PT', 'Atlantic/Madeira': 'PT',
+    'Europe/Bucharest': 'RO', 'Europe/Bratislava': 'SK', 'Europe/Ljubljana': 'SI', 'Europe/Madrid': 'ES',
+    'Africa/Ceuta': 'ES', 'Atlantic/Canary': 'ES', 'Europe/Stockholm': 'SE', 'Atlantic/Reykjavik': 'IS',
+    'Europe/Vaduz': 'LI', 'Europe/Oslo': 'NO', 'Arctic/Longyearbyen': 'NO', 'Europe/London': 'GB',
+    'Europe/Belfast': 'GB'
+};
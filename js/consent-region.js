@@ -0,0 +1,212 @@
+/**
+ * ============================================================================
+ * REGION-AWARE CONSENT DEFAULTS - JavaScript
+ * ============================================================================
+ *
+ * Runs in the <head>, right after gtag() is defined and BEFORE GTM loads.
+ * It sets the default consent state with Consent Mode's 'region' parameter,
+ * using CONSENT_REGION_RULES from consent-config.js:
+ *
+ *   gtag('consent', 'default', { ...all 'denied', region: ['AT', 'BE', ..., 'GB'] });
+ *   gtag('consent', 'default', { ...all 'granted' });   // everywhere else
+ *
+ * Google picks the matching default from the visitor's IP address, so tags
+ * are never less strict than the rule for where the visitor really is.
+ *
+ * THE RULE ON THIS PAGE (banner or not, debug panel) is worked out in the
+ * browser, in this order:
+ *   1. ?consent_region=<rule id> - test override, kept for the session
+ *      (?consent_region=auto removes it)
+ *   2. Browser time zone (CONSENT_REGION_TIMEZONES) - unless it's UTC
+ *   3. Country in the browser language ('hr-HR' -> HR)
+ *   4. Still unknown -> CONSENT_REGION_UNKNOWN_RULE (the strict one)
+ *
+ * With the test override the region arrays are left out and the chosen
+ * rule's defaults apply everywhere - so EEA behaviour can be tested from
+ * outside the EEA and the other way round.
+ *
+ * PRIVACY SIGNALS: if the browser sends Global Privacy Control
+ * (navigator.globalPrivacyControl) or Do Not Track, the categories marked
+ * deniedByPrivacySignals (advertising) default to 'denied' in EVERY region.
+ * consent.js keeps them denied whatever the user clicks.
+ */
+
+// sessionStorage key for the ?consent_region= test override
+const CONSENT_REGION_OVERRIDE_KEY = 'gtm_consent_region';
+
+// Query parameter for the test override
+const CONSENT_REGION_QUERY_PARAM = 'consent_region';
+
+// The rule picked for this page view (set below, read by consent.js and debug.js)
+let consentRegion = null;
+
+/**
+ * Find a rule by id
+ * @param {string} id - Rule id, e.g. 'eea_uk'
+ * @returns {Object|undefined}
+ */
+function getConsentRegionRule(id) {
+    return CONSENT_REGION_RULES.find((rule) => rule.id === id);
+}
+
+/**
+ * Find the rule that covers a country
+ * @param {string} country - ISO 3166 code, e.g. 'HR'
+ * @returns {Object} - The rule listing the country, or the rule with regions: null
+ */
+function getConsentRegionRuleForCountry(country) {
+    return CONSENT_REGION_RULES.find((rule) => rule.regions && rule.regions.includes(country))
+        || CONSENT_REGION_RULES.find((rule) => !rule.regions);
+}
+
+/**
+ * Read (and remember) the ?consent_region= test override
+ * @returns {Object|null} - The overriding rule or null
+ */
+function getConsentRegionOverride() {
+    try {
+        const param = new URLSearchParams(window.location.search).get(CONSENT_REGION_QUERY_PARAM);
+
+        if (param === 'auto') {
+            sessionStorage.removeItem(CONSENT_REGION_OVERRIDE_KEY);
+        } else if (param) {
+            if (getConsentRegionRule(param)) {
+                sessionStorage.setItem(CONSENT_REGION_OVERRIDE_KEY, param);
+            } else {
+                console.warn('🌍 Unknown consent region rule:', param);
+            }
+        }
+
+        return getConsentRegionRule(sessionStorage.getItem(CONSENT_REGION_OVERRIDE_KEY)) || null;
+    } catch (error) {
+        return null; // sessionStorage blocked
+    }
+}
+
+/**
+ * Work out which rule applies to this visitor
+ * @returns {Object} - { rule, source: 'query'|'timezone'|'language'|'unknown', country, timeZone }
+ */
+function detectConsentRegion() {
+    const override = getConsentRegionOverride();
+    let timeZone = null;
+    try {
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+    } catch (error) {
+        // Very old browser - fall through to the language
+    }
+
+    if (override) {
+        return { rule: override, source: 'query', country: null, timeZone: timeZone };
+    }
+
+    // 'UTC' / 'Etc/...' say nothing about the country (privacy modes report them)
+    if (timeZone && timeZone !== 'UTC' && timeZone.indexOf('Etc/') !== 0) {
+        const country = CONSENT_REGION_TIMEZONES[timeZone] || null;
+        const rule = country
+            ? getConsentRegionRuleForCountry(country)
+            : CONSENT_REGION_RULES.find((item) => !item.regions);
+        return { rule: rule, source: 'timezone', country: country, timeZone: timeZone };
+    }
+
+    const match = /-([A-Z]{2})\b/.exec(navigator.language || '');
+    if (match) {
+        return {
+            rule: getConsentRegionRuleForCountry(match[1]),
+            source: 'language',
+            country: match[1],
+            timeZone: null
+        };
+    }
+
+    return {
+        rule: getConsentRegionRule(CONSENT_REGION_UNKNOWN_RULE),
+        source: 'unknown',
+        country: null,
+        timeZone: null
+    };
+}
+
+/**
+ * Detect the browser's privacy signals
+ * GPC is what CCPA/CPRA require sites to honour; DNT is older and
+ * deprecated, but still sent by some browsers.
+ *
+ * @returns {Object} - { gpc: boolean, dnt: boolean, any: boolean }
+ */
+function getPrivacySignals() {
+    const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    const signals = {
+        gpc: navigator.globalPrivacyControl === true,
+        dnt: dnt === '1' || dnt === 'yes'
+    };
+    signals.any = signals.gpc || signals.dnt;
+    return signals;
+}
+
+/**
+ * Build the default consent values of a rule
+ * Mandatory categories (e.g. security_storage) are always 'granted';
+ * with a privacy signal, deniedByPrivacySignals categories are always 'denied'.
+ *
+ * @param {Object} rule - Entry from CONSENT_REGION_RULES
+ * @returns {Object} - { ad_storage: 'denied', ..., security_storage: 'granted' }
+ */
+function getRegionDefaultConsent(rule) {
+    const signals = getPrivacySignals();
+    const defaults = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+        let value = rule.defaultConsent;
+        if (category.mandatory) value = 'granted';
+        else if (category.deniedByPrivacySignals && signals.any) value = 'denied';
+
+        category.consentTypes.forEach((type) => {
+            defaults[type] = value;
+        });
+    });
+
+    // Give the banner time to apply a saved choice before tags fire
+    if (rule.showBanner) defaults.wait_for_update = 500;
+    return defaults;
+}
+
+/**
+ * Get the rule picked for this page view
+ * @returns {Object} - See detectConsentRegion()
+ */
+function getConsentRegion() {
+    return consentRegion;
+}
+
+// Set the defaults immediately - this file runs before the GTM snippet
+(function setRegionConsentDefaults() {
+    consentRegion = detectConsentRegion();
+
+    if (consentRegion.source === 'query') {
+        // Test override: the chosen rule everywhere, no region arrays
+        gtag('consent', 'default', getRegionDefaultConsent(consentRegion.rule));
+    } else {
+        // One default per rule - the rule without 'regions' is the catch-all
+        CONSENT_REGION_RULES.forEach((rule) => {
+            const defaults = getRegionDefaultConsent(rule);
+            if (rule.regions) defaults.region = rule.regions;
+            gtag('consent', 'default', defaults);
+        });
+    }
+
+    console.log('🌍 Consent defaults set by region - this page uses "' + consentRegion.rule.id
+        + '" (' + consentRegion.source + '), banner ' + (consentRegion.rule.showBanner ? 'needed' : 'not needed'));
+})();
+
+// Export region functions for debugging via browser console
+window.consentRegionDebug = {
+    get: getConsentRegion,
+    detect: detectConsentRegion,
+    rules: CONSENT_REGION_RULES,
+    getSignals: getPrivacySignals,
+    // Test override for this session, e.g. consentRegionDebug.override('rest_of_world'); then reload
+    override: (id) => {
+        if (id) sessionStorage.setItem(CONSENT_REGION_OVERRIDE_KEY, id);
+        else sessionStorage.removeItem(CONSENT_REGION_OVERRIDE_KEY);
+    }
+};
@@ -7,13 +7,15 @@
  * Google Consent Mode v2.
  *
  * KEY CONCEPTS:
- * - We already set default consent to "denied" in the HTML <head>
+ * - The default consent is already set in the HTML <head> by region
+ *   (consent-region.js): "denied" in the EEA/UK, "granted" elsewhere
  * - This script checks if the user has previously made a choice
  * - If yes: automatically apply their saved choice
- * - If no: show the consent banner
+ * - If no: show the consent banner - only where the region rule needs one
  * - When user makes a choice: update consent via gtag() and save to localStorage
  *
- * CONSENT CATEGORIES:
+ * CONSENT TYPES (the banner toggles that grant them are configured in
+ * consent-config.js - CONSENT_CATEGORIES):
  * 1. Analytics Storage (analytics_storage)
  *    - Enables cookies for analytics tools like Google Analytics
  *    - Tracks page views, user behavior, site performance
@@ -40,28 +42,97 @@
  *
  * 7. Security Storage (security_storage)
  *    - ALWAYS granted - required for fraud prevention, authentication
- *    - Not included in user choices (mandatory)
+ *    - Shown as an always-on toggle (mandatory category)
+ *
+ * CONSENT LIFETIME & POLICY VERSION:
+ * - Every saved choice records the privacy policy version it was given
+ *   under (CONSENT_POLICY_VERSION) and when (timestamp)
+ * - A choice older than CONSENT_MAX_AGE_MONTHS, or given under an older
+ *   policy, is no longer applied: the banner asks again (pre-filled with
+ *   the old choice) and nothing is granted from it. Its denials stay in
+ *   force until the user answers, even where the region default is
+ *   "granted" (holdStaleConsentDenials)
+ * - GTM gets 'consent_expired' (too old) or 'consent_reprompt' (policy changed)
+ *
+ * CONSENT HISTORY (accountability):
+ * - Every choice is also appended to 'gtm_consent_history' - never edited
+ *   or removed - with the consent ID, the method (accept_all / reject_all /
+ *   save_preferences), where the banner was opened from (banner /
+ *   cookie_settings / reprompt), the policy version and the page
+ * - The consent ID is generated with the first choice and kept afterwards,
+ *   so all entries of one browser belong together
+ * - getConsentReceipt() bundles it all - privacy.html shows and downloads it
+ *
+ * PRIVACY SIGNALS (Global Privacy Control, Do Not Track):
+ * - Detected by getPrivacySignals() (consent-region.js). While either is on,
+ *   categories marked deniedByPrivacySignals (advertising) are denied - in the
+ *   defaults and whenever consent is applied (getEffectiveConsent) - and their
+ *   toggles are locked off with a note in the banner saying why
+ * - The signal is NOT a user choice: the saved record and the history keep
+ *   what the user chose (Accept All stays 'granted'), so the choice is back
+ *   in force once the signal is gone. The signal is kept in
+ *   'gtm_privacy_signals' and added to the consent history (method
+ *   'privacy_signal') only when it changes
  */
 
 // localStorage key where we save the user's consent choice
 const CONSENT_STORAGE_KEY = 'gtm_consent_preferences';
 
+// Version of the privacy policy (privacy.html "Last updated" date)
+// Bump this when the policy changes - everyone is asked again
+const CONSENT_POLICY_VERSION = '2026-02-17';
+
+// How long a consent choice is valid before we ask again
+const CONSENT_MAX_AGE_MONTHS = 12;
+
+// localStorage key of the append-only consent history
+const CONSENT_HISTORY_STORAGE_KEY = 'gtm_consent_history';
+
+// localStorage key of the last privacy signals seen (kept apart from the user's choice)
+const PRIVACY_SIGNALS_STORAGE_KEY = 'gtm_privacy_signals';
+
+// DOM event fired on window after a choice was saved (privacy.html re-renders the receipt)
+const CONSENT_CHANGE_EVENT = 'consentchange';
+
+// Where the banner currently on screen was opened from (recorded in the history)
+let consentBannerSource = 'banner';
+
+// Extra line shown in the banner when we ask again (see getConsentRecordStatus)
+const CONSENT_REPROMPT_NOTICES = {
+    expired: 'It has been a while since you chose your cookie settings - please confirm them again.',
+    outdated: 'Our privacy policy has changed since you chose your cookie settings - please review them again.'
+};
+
 // Check if user has previously made a consent choice
 // This runs immediately when the script loads
 (function initializeConsent() {
     console.log('🔐 Consent.js initializing...');
+    validateConsentCategories();
+    recordPrivacySignals();
 
     // Try to load saved consent preferences from localStorage
-    const savedConsent = loadSavedConsent();
+    const savedRecord = loadConsentRecord();
+    const status = getConsentRecordStatus(savedRecord);
 
-    if (savedConsent) {
+    if (status === 'valid') {
         // User has previously made a choice - apply it automatically
-        console.log('✅ Found saved consent preferences:', savedConsent);
-        applyConsent(savedConsent);
-    } else {
+        console.log('✅ Found saved consent preferences:', savedRecord);
+        applyConsent(savedRecord);
+    } else if (status === 'missing' && !getConsentRegion().rule.showBanner) { // From consent-region.js
+        // No saved consent, but this region starts 'granted' - no banner needed
+        console.log('🌍 No saved consent - region "' + getConsentRegion().rule.id + '" needs no banner');
+    } else if (status === 'missing') {
         // No saved consent - show the banner
         console.log('⚠️ No saved consent found - showing banner');
         showConsentBanner();
+    } else {
+        // Stale choice - NOT applied, but what it denied stays denied
+        console.log('⏰ Saved consent is ' + status + ' - asking again:', savedRecord);
+        holdStaleConsentDenials(savedRecord);
+        pushConsentReprompt(savedRecord, status);
+        consentBannerSource = 'reprompt';
+        showConsentBanner(status);
+        prefillConsentPreferences(savedRecord);
     }
 
     // Add the "Cookie Settings" button (always visible in bottom-left)
@@ -69,10 +140,10 @@ const CONSENT_STORAGE_KEY = 'gtm_consent_preferences';
 })();
 
 /**
- * Load saved consent preferences from localStorage
- * @returns {Object|null} - Saved consent object or null if not found
+ * Load the consent record from localStorage, whether still valid or not
+ * @returns {Object|null} - Saved record (with policy_version, timestamp) or null if not found
  */
-function loadSavedConsent() {
+function loadConsentRecord() {
     try {
         const saved = localStorage.getItem(CONSENT_STORAGE_KEY);
         return saved ? JSON.parse(saved) : null;
@@ -83,19 +154,387 @@ function loadSavedConsent() {
 }
 
 /**
- * Save consent preferences to localStorage
+ * Load saved consent preferences from localStorage
+ * Expired or outdated choices don't count - they return null, like no choice at all.
+ *
+ * @returns {Object|null} - Saved consent object or null if not found (or no longer valid)
+ */
+function loadSavedConsent() {
+    const record = loadConsentRecord();
+    return getConsentRecordStatus(record) === 'valid' ? record : null;
+}
+
+/**
+ * Check whether a saved consent record can still be applied
+ * Records saved before policy versions existed count as 'outdated'.
+ *
+ * @param {Object|null} record - From loadConsentRecord()
+ * @returns {string} - 'valid', 'missing', 'expired' or 'outdated'
+ */
+function getConsentRecordStatus(record) {
+    if (!record) return 'missing';
+    if (record.policy_version !== CONSENT_POLICY_VERSION) return 'outdated';
+
+    const givenAt = new Date(record.timestamp);
+    if (isNaN(givenAt.getTime())) return 'expired';
+
+    const expiresAt = new Date(givenAt.getTime());
+    expiresAt.setMonth(expiresAt.getMonth() + CONSENT_MAX_AGE_MONTHS);
+    return Date.now() >= expiresAt.getTime() ? 'expired' : 'valid';
+}
+
+/**
+ * Keep the categories a stale choice denied denied until the user answers
+ *
+ * The stale record isn't applied, so in a region whose default is 'granted'
+ * (rest_of_world) a visitor who chose Reject All would be tracked again while
+ * the banner asks. Only denials are pushed - nothing is granted from a stale
+ * record, and a category it doesn't fully grant (e.g. one added since) counts
+ * as denied.
+ *
+ * @param {Object} record - The stale record from loadConsentRecord()
+ */
+function holdStaleConsentDenials(record) {
+    const denied = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+        if (category.mandatory) return;
+        if (category.consentTypes.every((type) => record[type] === 'granted')) return;
+
+        category.consentTypes.forEach((type) => {
+            denied[type] = 'denied';
+        });
+    });
+
+    if (Object.keys(denied).length === 0) return;
+
+    gtag('consent', 'update', denied);
+    console.log('⏰ Kept denied until the user chooses again:', denied);
+}
+
+/**
+ * Tell GTM that a saved choice was not applied and the banner is asking again
+ *
+ * GTM REQUIRED: Pushes 'consent_expired' (choice older than
+ * CONSENT_MAX_AGE_MONTHS) or 'consent_reprompt' (policy version changed)
+ *
+ * @param {Object} record - The stale record from loadConsentRecord()
+ * @param {string} status - 'expired' or 'outdated'
+ */
+function pushConsentReprompt(record, status) {
+    const givenAt = new Date(record.timestamp);
+
+    pushEvent(status === 'expired' ? 'consent_expired' : 'consent_reprompt', {
+        'consent_policy_version': CONSENT_POLICY_VERSION,
+        'previous_policy_version': record.policy_version || 'none', // Saved before versions existed
+        'consent_age_days': isNaN(givenAt.getTime())
+            ? null
+            : Math.floor((Date.now() - givenAt.getTime()) / (24 * 60 * 60 * 1000))
+    });
+}
+
+/**
+ * Save consent preferences to localStorage and append them to the consent history
  * @param {Object} consent - Consent preferences object
+ * @param {string} [method] - 'accept_all', 'reject_all' or 'save_preferences'
  */
-function saveConsent(consent) {
+function saveConsent(consent, method) {
+    const previous = loadConsentRecord();
+    const record = {
+        ...pickConsentTypes(consent),
+        consent_id: (previous && previous.consent_id) || generateConsentId(),
+        policy_version: CONSENT_POLICY_VERSION,
+        timestamp: new Date().toISOString()
+    };
+
     try {
-        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify({
-            ...consent,
-            timestamp: new Date().toISOString()
-        }));
+        localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(record));
         console.log('💾 Consent preferences saved to localStorage');
     } catch (error) {
         console.error('Error saving consent:', error);
     }
+
+    appendConsentHistory({
+        consent_id: record.consent_id,
+        timestamp: record.timestamp,
+        method: method || 'unknown',
+        source: consentBannerSource,
+        policy_version: record.policy_version,
+        page: window.location.pathname,
+        consent: pickConsentTypes(consent)
+    });
+
+    window.dispatchEvent(new CustomEvent(CONSENT_CHANGE_EVENT, { detail: { method: method } }));
+}
+
+// ============================================================================
+// CONSENT HISTORY & RECEIPT
+// ============================================================================
+
+/**
+ * Keep only the consent types (no timestamp, id, ...) - the user's choice,
+ * privacy signals are NOT applied here
+ * @param {Object} consent - Consent object or saved record
+ * @returns {Object} - { ad_storage, ad_user_data, ..., security_storage }
+ */
+function pickConsentTypes(consent) {
+    return buildConsentFromCategories((category) =>
+        category.consentTypes.every((type) => consent[type] === 'granted'));
+}
+
+/**
+ * The consent values actually in force: the user's choice with the
+ * categories a privacy signal turns off set to 'denied'
+ * @param {Object} consent - Consent object or saved record
+ * @returns {Object} - { ad_storage, ad_user_data, ..., security_storage }
+ */
+function getEffectiveConsent(consent) {
+    const effective = pickConsentTypes(consent);
+    CONSENT_CATEGORIES.filter(isCategoryDeniedBySignals).forEach((category) => {
+        category.consentTypes.forEach((type) => {
+            effective[type] = 'denied';
+        });
+    });
+    return effective;
+}
+
+/**
+ * Generate a random consent ID, e.g. 'c0a8f3e2-...'
+ * @returns {string}
+ */
+function generateConsentId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    // Older browsers / plain http: good enough to tell browsers apart
+    return 'C-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Load the consent history (oldest first)
+ * @returns {Array} - [{ consent_id, timestamp, method, source, policy_version, page, consent }]
+ */
+function loadConsentHistory() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONSENT_HISTORY_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error loading consent history:', error);
+        return [];
+    }
+}
+
+/**
+ * Append one entry to the consent history
+ * Entries are never changed or removed - that's what makes it an audit log.
+ *
+ * @param {Object} entry - History entry
+ */
+function appendConsentHistory(entry) {
+    const history = loadConsentHistory();
+    history.push(entry);
+
+    try {
+        localStorage.setItem(CONSENT_HISTORY_STORAGE_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving consent history:', error);
+    }
+}
+
+/**
+ * Build the consent receipt: the current choice and every earlier one
+ * current_consent.consent is the choice exactly as stored; effective_consent
+ * is what applies now, after the privacy signals.
+ *
+ * @returns {Object} - Receipt object (download it as JSON from privacy.html)
+ */
+function getConsentReceipt() {
+    const record = loadConsentRecord();
+    const history = loadConsentHistory();
+    const stored = {};
+    if (record) {
+        getConsentTypes().forEach((type) => {
+            if (type in record) stored[type] = record[type];
+        });
+    }
+
+    return {
+        receipt_generated_at: new Date().toISOString(),
+        site: window.location.origin,
+        consent_id: record ? record.consent_id || null : null,
+        current_policy_version: CONSENT_POLICY_VERSION,
+        privacy_signals: {
+            detected: getPrivacySignals(),
+            recorded: loadPrivacySignalsRecord()
+        },
+        effective_consent: record ? getEffectiveConsent(record) : null,
+        current_consent: record ? {
+            status: getConsentRecordStatus(record),
+            policy_version: record.policy_version || null,
+            timestamp: record.timestamp || null,
+            consent: stored
+        } : null,
+        history: history
+    };
+}
+
+// ============================================================================
+// CONSENT CATEGORIES (from consent-config.js)
+// ============================================================================
+
+/**
+ * All Consent Mode v2 keys controlled by the categories
+ * @returns {Array} - e.g. ['security_storage', 'analytics_storage', 'ad_storage', ...]
+ */
+function getConsentTypes() {
+    return CONSENT_CATEGORIES.reduce((types, category) => types.concat(category.consentTypes), []);
+}
+
+/**
+ * Check whether a browser privacy signal turns a category off
+ * @param {Object} category - Entry from CONSENT_CATEGORIES
+ * @returns {boolean}
+ */
+function isCategoryDeniedBySignals(category) {
+    return !!category.deniedByPrivacySignals && getPrivacySignals().any; // From consent-region.js
+}
+
+/**
+ * Build a consent object from per-category decisions
+ * Mandatory categories are always granted; every key of a category gets the
+ * same value. Privacy signals are not applied - see getEffectiveConsent().
+ *
+ * @param {Function} isGranted - (category) => true if the user allows it
+ * @returns {Object} - { analytics_storage: 'granted', ad_storage: 'denied', ... }
+ */
+function buildConsentFromCategories(isGranted) {
+    const consent = {};
+    CONSENT_CATEGORIES.forEach((category) => {
+        const value = category.mandatory || isGranted(category) ? 'granted' : 'denied';
+
+        category.consentTypes.forEach((type) => {
+            consent[type] = value;
+        });
+    });
+    return consent;
+}
+
+// ============================================================================
+// PRIVACY SIGNALS (GPC / DNT)
+// ============================================================================
+
+/**
+ * Load the privacy signals recorded on an earlier page view
+ * @returns {Object|null} - { gpc, dnt, detected_at } or null
+ */
+function loadPrivacySignalsRecord() {
+    try {
+        return JSON.parse(localStorage.getItem(PRIVACY_SIGNALS_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Remember the current privacy signals and log a change in the consent history
+ * Runs on every page load; only a change (signal turned on or off) is logged,
+ * as method 'privacy_signal' - it never touches the user's own choice.
+ */
+function recordPrivacySignals() {
+    const signals = getPrivacySignals(); // From consent-region.js
+    const previous = loadPrivacySignalsRecord();
+
+    if (previous && previous.gpc === signals.gpc && previous.dnt === signals.dnt) return;
+    if (!previous && !signals.any) return; // Nothing to record yet
+
+    const detectedAt = new Date().toISOString();
+    try {
+        localStorage.setItem(PRIVACY_SIGNALS_STORAGE_KEY, JSON.stringify({
+            gpc: signals.gpc,
+            dnt: signals.dnt,
+            detected_at: detectedAt
+        }));
+    } catch (error) {
+        console.error('Error saving privacy signals:', error);
+    }
+
+    const record = loadConsentRecord();
+    appendConsentHistory({
+        consent_id: (record && record.consent_id) || null,
+        timestamp: detectedAt,
+        method: 'privacy_signal',
+        source: [signals.gpc && 'gpc', signals.dnt && 'dnt'].filter(Boolean).join('+') || 'none',
+        policy_version: CONSENT_POLICY_VERSION,
+        page: window.location.pathname,
+        signals: { gpc: signals.gpc, dnt: signals.dnt },
+        denied: CONSENT_CATEGORIES
+            .filter(isCategoryDeniedBySignals)
+            .reduce((types, category) => types.concat(category.consentTypes), [])
+    });
+
+    console.log('🛡️ Privacy signals changed - GPC: ' + signals.gpc + ', DNT: ' + signals.dnt);
+}
+
+/**
+ * Names of the privacy signals the browser sends, for the banner
+ * @returns {string} - e.g. 'Global Privacy Control' or '' if none
+ */
+function describePrivacySignals() {
+    const signals = getPrivacySignals();
+    return [signals.gpc && 'Global Privacy Control', signals.dnt && 'Do Not Track']
+        .filter(Boolean)
+        .join(' and ');
+}
+
+/**
+ * Check the config once per page: unknown keys or keys in two categories
+ * are listed under Issues in the debug panel
+ */
+function validateConsentCategories() {
+    const seen = {};
+    getConsentTypes().forEach((type) => {
+        if (!CONSENT_TYPE_INFO[type]) {
+            reportDebugIssue('consent', 'Unknown Consent Mode key in CONSENT_CATEGORIES: ' + type); // From dataLayer.js
+        }
+        if (seen[type]) {
+            reportDebugIssue('consent', 'Consent Mode key in more than one category: ' + type);
+        }
+        seen[type] = true;
+    });
+}
+
+/**
+ * Render one toggle per category for the "Manage Preferences" section
+ * @returns {string} - HTML
+ */
+function renderConsentCategoryToggles() {
+    return CONSENT_CATEGORIES.map((category) => {
+        const blocked = !category.mandatory && isCategoryDeniedBySignals(category);
+        let state = '';
+        let note = '';
+        if (category.mandatory) {
+            state = 'checked disabled';
+            note = ' <small>(always on)</small>';
+        } else if (blocked) {
+            state = 'disabled';
+            note = ' <small>(off - browser privacy signal)</small>';
+        }
+
+        return `
+                <div class="consent-preference-item">
+                    <label class="consent-toggle">
+                        <input type="checkbox" id="consent-${category.id}" data-consent-category="${category.id}"
+                            ${state}>
+                        <span class="consent-toggle-slider"></span>
+                    </label>
+                    <div class="consent-preference-info">
+                        <strong>${category.label}</strong>${note}
+                        <p>
+                            ${category.description}
+                            <br><small>(Controls: ${category.consentTypes.join(', ')})</small>
+                        </p>
+                    </div>
+                </div>`;
+    }).join('');
 }
 
 /**
@@ -108,34 +547,42 @@ function applyConsent(consent) {
     // Use gtag to update consent - this was defined in the HTML <head>
     // gtag() pushes the consent update to the dataLayer
     // GTM reads this and adjusts tag behavior accordingly
-    gtag('consent', 'update', {
-        'ad_storage': consent.ad_storage || 'denied',
-        'ad_user_data': consent.ad_user_data || 'denied',
-        'ad_personalization': consent.ad_personalization || 'denied',
-        'analytics_storage': consent.analytics_storage || 'denied',
-        'functionality_storage': consent.functionality_storage || 'denied',
-        'personalization_storage': consent.personalization_storage || 'denied'
-        // security_storage is always 'granted' and set in the default
-    });
+    // Every key from consent-config.js - mandatory ones are always 'granted',
+    // ones turned off by a privacy signal always 'denied'
+    const effective = getEffectiveConsent(consent);
+    gtag('consent', 'update', effective);
 
-    console.log('✅ Consent updated:', consent);
+    console.log('✅ Consent updated:', effective);
 
     // Push a custom event to dataLayer so GTM knows consent was updated
     // This can be used as a trigger in GTM
-    window.dataLayer.push({
-        'event': 'consent_updated',
-        'consent_preferences': consent
+    pushEvent('consent_updated', {
+        'consent_preferences': { ...consent, ...effective }
     });
 }
 
 /**
  * Show the consent banner
  * Creates and displays the cookie consent UI
+ *
+ * @param {string} [reason] - 'expired' or 'outdated' when asking again
  */
-function showConsentBanner() {
+function showConsentBanner(reason) {
     // Check if banner already exists (avoid duplicates)
     if (document.getElementById('consent-banner')) return;
 
+    let notice = CONSENT_REPROMPT_NOTICES[reason]
+        ? `<p class="consent-banner-notice">${CONSENT_REPROMPT_NOTICES[reason]}
+                    <a href="privacy.html">Read the privacy policy</a></p>`
+        : '';
+
+    // Say why advertising is off when the browser sends GPC / DNT
+    const signalNames = describePrivacySignals();
+    if (signalNames) {
+        notice += `<p class="consent-banner-notice">Advertising cookies are off because your browser
+                    sends a ${signalNames} signal.</p>`;
+    }
+
     // Create the banner HTML
     const banner = document.createElement('div');
     banner.id = 'consent-banner';
@@ -148,6 +595,7 @@ function showConsentBanner() {
                     This site uses cookies and tracking technologies to improve your experience
                     and analyze site usage. You can choose which types of cookies to allow.
                 </p>
+                ${notice}
             </div>
 
             <div class="consent-banner-buttons">
@@ -168,70 +616,7 @@ function showConsentBanner() {
                 <p class="consent-preferences-intro">
                     Choose which types of cookies you want to allow. You can change these settings at any time.
                 </p>
-
-                <!-- Analytics Cookies -->
-                <div class="consent-preference-item">
-                    <label class="consent-toggle">
-                        <input type="checkbox" id="consent-analytics" data-consent-type="analytics_storage">
-                        <span class="consent-toggle-slider"></span>
-                    </label>
-                    <div class="consent-preference-info">
-                        <strong>Analytics Cookies</strong>
-                        <p>
-                            Help us understand how visitors interact with our website by collecting
-                            and reporting information anonymously. Examples: Google Analytics.
-                        </p>
-                    </div>
-                </div>
-
-                <!-- Advertising Cookies -->
-                <div class="consent-preference-item">
-                    <label class="consent-toggle">
-                        <input type="checkbox" id="consent-advertising" data-consent-type="ad_storage">
-                        <span class="consent-toggle-slider"></span>
-                    </label>
-                    <div class="consent-preference-info">
-                        <strong>Advertising Cookies</strong>
-                        <p>
-                            Used to make advertising messages more relevant to you. They perform functions
-                            like preventing the same ad from continuously reappearing, ensuring ads display
-                            properly, and in some cases selecting ads based on your interests.
-                            <br><small>(Controls: ad_storage, ad_user_data, ad_personalization)</small>
-                        </p>
-                    </div>
-                </div>
-
-                <!-- Functionality Cookies -->
-                <div class="consent-preference-item">
-                    <label class="consent-toggle">
-                        <input type="checkbox" id="consent-functionality" data-consent-type="functionality_storage">
-                        <span class="consent-toggle-slider"></span>
-                    </label>
-                    <div class="consent-preference-info">
-                        <strong>Functionality Cookies</strong>
-                        <p>
-                            Enable enhanced functionality and personalization, such as remembering your
-                            language preference or region. These are often considered "necessary" for
-                            basic site functionality.
-                        </p>
-                    </div>
-                </div>
-
-                <!-- Personalization Cookies -->
-                <div class="consent-preference-item">
-                    <label class="consent-toggle">
-                        <input type="checkbox" id="consent-personalization" data-consent-type="personalization_storage">
-                        <span class="consent-toggle-slider"></span>
-                    </label>
-                    <div class="consent-preference-info">
-                        <strong>Personalization Cookies</strong>
-                        <p>
-                            Allow the website to remember choices you make (like username or language)
-                            and provide enhanced, more personal features. Examples: video player
-                            preferences, customized content recommendations.
-                        </p>
-                    </div>
-                </div>
+                ${renderConsentCategoryToggles()}
 
                 <div class="consent-preferences-buttons">
                     <button id="consent-save-preferences" class="consent-btn consent-btn-primary">
@@ -260,35 +645,21 @@ function showConsentBanner() {
 function attachConsentEventListeners() {
     // "Accept All" button - grant all consent types
     document.getElementById('consent-accept-all')?.addEventListener('click', () => {
-        const allGranted = {
-            ad_storage: 'granted',
-            ad_user_data: 'granted',
-            ad_personalization: 'granted',
-            analytics_storage: 'granted',
-            functionality_storage: 'granted',
-            personalization_storage: 'granted'
-        };
+        const allGranted = buildConsentFromCategories(() => true);
 
         applyConsent(allGranted);
-        saveConsent(allGranted);
+        saveConsent(allGranted, 'accept_all');
         hideConsentBanner();
 
         console.log('✅ User accepted all cookies');
     });
 
-    // "Reject All" button - deny all consent types (keep security_storage granted)
+    // "Reject All" button - deny all consent types (mandatory ones, e.g. security_storage, stay granted)
     document.getElementById('consent-reject-all')?.addEventListener('click', () => {
-        const allDenied = {
-            ad_storage: 'denied',
-            ad_user_data: 'denied',
-            ad_personalization: 'denied',
-            analytics_storage: 'denied',
-            functionality_storage: 'denied',
-            personalization_storage: 'denied'
-        };
+        const allDenied = buildConsentFromCategories(() => false);
 
         applyConsent(allDenied);
-        saveConsent(allDenied);
+        saveConsent(allDenied, 'reject_all');
         hideConsentBanner();
 
         console.log('❌ User rejected all cookies');
@@ -306,25 +677,16 @@ function attachConsentEventListeners() {
 
     // "Save My Preferences" button - save custom choices
     document.getElementById('consent-save-preferences')?.addEventListener('click', () => {
-        // Read the checkbox states
-        const analyticsChecked = document.getElementById('consent-analytics')?.checked;
-        const advertisingChecked = document.getElementById('consent-advertising')?.checked;
-        const functionalityChecked = document.getElementById('consent-functionality')?.checked;
-        const personalizationChecked = document.getElementById('consent-personalization')?.checked;
-
-        // Build consent object based on user choices
-        const customConsent = {
-            analytics_storage: analyticsChecked ? 'granted' : 'denied',
-            // Advertising checkbox controls 3 related consent types
-            ad_storage: advertisingChecked ? 'granted' : 'denied',
-            ad_user_data: advertisingChecked ? 'granted' : 'denied',
-            ad_personalization: advertisingChecked ? 'granted' : 'denied',
-            functionality_storage: functionalityChecked ? 'granted' : 'denied',
-            personalization_storage: personalizationChecked ? 'granted' : 'denied'
-        };
+        // Build consent object from the checkbox states - one checkbox per
+        // category, each controlling all of its consentTypes. A toggle locked
+        // by a privacy signal keeps the earlier choice (the user couldn't change it)
+        const previous = loadConsentRecord() || {};
+        const customConsent = buildConsentFromCategories((category) => (isCategoryDeniedBySignals(category)
+            ? category.consentTypes.every((type) => previous[type] === 'granted')
+            : !!document.getElementById('consent-' + category.id)?.checked));
 
         applyConsent(customConsent);
-        saveConsent(customConsent);
+        saveConsent(customConsent, 'save_preferences');
         hideConsentBanner();
 
         console.log('💾 User saved custom preferences:', customConsent);
@@ -342,6 +704,7 @@ function attachConsentEventListeners() {
  */
 function hideConsentBanner() {
     const banner = document.getElementById('consent-banner');
+    consentBannerSource = 'banner';
     if (banner) {
         // Fade out animation
         banner.style.opacity = '0';
@@ -366,15 +729,13 @@ function createCookieSettingsButton() {
     button.addEventListener('click', () => {
         // Load current preferences and pre-check the boxes
         const saved = loadSavedConsent();
+        if (!document.getElementById('consent-banner')) consentBannerSource = 'cookie_settings';
         showConsentBanner();
 
         // If there are saved preferences, pre-populate the checkboxes
         if (saved) {
             setTimeout(() => {
-                document.getElementById('consent-analytics').checked = saved.analytics_storage === 'granted';
-                document.getElementById('consent-advertising').checked = saved.ad_storage === 'granted';
-                document.getElementById('consent-functionality').checked = saved.functionality_storage === 'granted';
-                document.getElementById('consent-personalization').checked = saved.personalization_storage === 'granted';
+                prefillConsentPreferences(saved);
 
                 // Auto-open the preferences section
                 document.getElementById('consent-manage')?.click();
@@ -385,12 +746,34 @@ function createCookieSettingsButton() {
     document.body.appendChild(button);
 }
 
+/**
+ * Pre-check the preference checkboxes with an earlier choice
+ * @param {Object} consent - Consent object (saved or stale record)
+ */
+function prefillConsentPreferences(consent) {
+    CONSENT_CATEGORIES.forEach((category) => {
+        const checkbox = document.getElementById('consent-' + category.id);
+        if (!checkbox || category.mandatory || isCategoryDeniedBySignals(category)) return;
+
+        // A category counts as chosen only if all of its keys were granted
+        checkbox.checked = category.consentTypes.every((type) => consent[type] === 'granted');
+    });
+}
+
 // Export functions for debugging purposes (accessible via browser console)
 window.consentDebug = {
     loadSaved: loadSavedConsent,
+    loadRecord: loadConsentRecord,
+    getStatus: () => getConsentRecordStatus(loadConsentRecord()),
+    policyVersion: CONSENT_POLICY_VERSION,
+    categories: CONSENT_CATEGORIES,
+    getHistory: loadConsentHistory,
+    getReceipt: getConsentReceipt,
+    getSignals: getPrivacySignals,
     apply: applyConsent,
     save: saveConsent,
     showBanner: showConsentBanner,
+    // The consent history is kept on purpose - it's append-only
     reset: () => {
         localStorage.removeItem(CONSENT_STORAGE_KEY);
         console.log('🔄 Consent preferences reset - reload page to see banner');
@@ -0,0 +1,236 @@
+/**
+ * ============================================================================
+ * MULTI-CURRENCY - JavaScript
+ * ============================================================================
+ *
+ * Lets the user pick the currency prices are shown and reported in.
+ *
+ * HOW IT WORKS:
+ * - All prices in the catalog and the stored basket stay in BASE_CURRENCY
+ *   (EUR). Nothing is ever stored converted, so switching back and forth
+ *   can't accumulate rounding errors.
+ * - The selected currency is saved in localStorage ('gtm_currency') and
+ *   picked from a switcher added to the header navigation of every page.
+ * - Renderers show prices with formatMoney(), which converts from EUR and
+ *   formats for the user's locale (formatPrice() in format.js).
+ * - pushEcommerce() (dataLayer.js) passes every ecommerce object through
+ *   convertEcommerce(), so the pushed 'currency', 'value' and item prices
+ *   follow the selected currency. Saved orders keep the currency they were
+ *   placed in, so 'purchase' and 'refund' are pushed with { convert: false }.
+ *
+ * ROUNDING: each currency has its own number of decimals (JPY has none).
+ * Item prices are converted and rounded first, and 'value' is the sum of
+ * the rounded item prices x quantity - exactly what GA4 would add up.
+ *
+ * The rates are a fixed local table for testing GA4's currency conversion,
+ * not live exchange rates.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Currency the catalog and the stored basket are priced in */
+const BASE_CURRENCY = 'EUR';
+
+/** localStorage key for the currency the user selected */
+const CURRENCY_STORAGE_KEY = 'gtm_currency';
+
+/**
+ * Supported currencies
+ * rate:     units of this currency per 1 BASE_CURRENCY
+ * decimals: minor units used for rounding (ISO 4217)
+ */
+const CURRENCIES = {
+    EUR: { rate: 1, decimals: 2, label: 'EUR (€)' },
+    USD: { rate: 1.08, decimals: 2, label: 'USD ($)' },
+    GBP: { rate: 0.86, decimals: 2, label: 'GBP (£)' },
+    HRK: { rate: 7.5345, decimals: 2, label: 'HRK (kn)' },
+    JPY: { rate: 163, decimals: 0, label: 'JPY (¥)' }
+};
+
+// ============================================================================
+// SELECTED CURRENCY
+// ============================================================================
+
+/**
+ * Get the currency the user selected
+ * @returns {string} ISO 4217 code (falls back to BASE_CURRENCY)
+ */
+function getSelectedCurrency() {
+    var saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return CURRENCIES[saved] ? saved : BASE_CURRENCY;
+}
+
+/**
+ * Change the selected currency
+ * @param {string} code - ISO 4217 code from CURRENCIES
+ * @returns {boolean} True if the currency is supported and was saved
+ */
+function setSelectedCurrency(code) {
+    if (!CURRENCIES[code]) {
+        console.warn('Currency: Unsupported currency', code);
+        return false;
+    }
+    localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+    console.log('Currency: Selected', code);
+    return true;
+}
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+/**
+ * Round an amount to the minor units of a currency
+ * @param {number} amount - Amount in that currency
+ * @param {string} code - ISO 4217 code
+ * @returns {number} Rounded amount
+ */
+function roundForCurrency(amount, code) {
+    var factor = Math.pow(10, CURRENCIES[code].decimals);
+    return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an amount from BASE_CURRENCY
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @param {string} [code] - Target currency (defaults to the selected one)
+ * @returns {number} Converted and rounded amount
+ */
+function convertFromBase(amount, code) {
+    var target = code || getSelectedCurrency();
+    return roundForCurrency(amount * CURRENCIES[target].rate, target);
+}
+
+/**
+ * Format an amount in BASE_CURRENCY for display in the selected currency
+ * @param {number} amount - Amount in BASE_CURRENCY
+ * @returns {string} e.g. '$53.99' (en) or '53,99 USD' (hr-HR)
+ */
+function formatMoney(amount) {
+    var code = getSelectedCurrency();
+    return formatAmount(convertFromBase(amount, code), code);
+}
+
+/**
+ * Format an amount that is already in a given currency
+ * (e.g. a saved order, which keeps the currency it was placed in)
+ *
+ * @param {number} amount - Amount in that currency
+ * @param {string} code - ISO 4217 code
+ * @returns {string} e.g. '¥8,137' (en)
+ */
+function formatAmount(amount, code) {
+    return formatPrice(amount, code); // From format.js
+}
+
+/**
+ * Convert a GA4 ecommerce object from BASE_CURRENCY to the selected currency
+ *
+ * Converts items[].price, items[].discount and the order-level
+ * shipping/tax amounts, then sets 'value' to the sum of the converted
+ * items (unless the original value didn't match its items, in which case
+ * it is converted on its own).
+ *
+ * Only pass objects priced in BASE_CURRENCY: an 'EUR' object is always
+ * converted. Amounts that are already final - e.g. a refund of an order
+ * placed in EUR while USD is selected - must skip this function
+ * (pushEcommerce(..., { convert: false })).
+ *
+ * @param {Object} ecommerce - Ecommerce object priced in BASE_CURRENCY
+ * @returns {Object} A converted copy (or the same object if nothing to do)
+ */
+function convertEcommerce(ecommerce) {
+    var target = getSelectedCurrency();
+
+    if (!ecommerce || target === BASE_CURRENCY) return ecommerce;
+    if (ecommerce.currency && ecommerce.currency !== BASE_CURRENCY) return ecommerce;
+
+    var converted = Object.assign({}, ecommerce, { currency: target });
+
+    ['shipping', 'tax'].forEach(function (field) {
+        if (typeof ecommerce[field] === 'number') {
+            converted[field] = convertFromBase(ecommerce[field], target);
+        }
+    });
+
+    if (!Array.isArray(ecommerce.items)) {
+        if (typeof ecommerce.value === 'number') {
+            converted.value = convertFromBase(ecommerce.value, target);
+        }
+        return converted;
+    }
+
+    var baseItemsTotal = 0;
+    var itemsTotal = 0;
+
+    converted.items = ecommerce.items.map(function (item) {
+        var copy = Object.assign({}, item);
+        var quantity = item.quantity !== undefined ? item.quantity : 1;
+
+        if (typeof item.price === 'number') {
+            copy.price = convertFromBase(item.price, target);
+            baseItemsTotal += item.price * quantity;
+            itemsTotal += copy.price * quantity;
+        }
+        if (typeof item.discount === 'number') {
+            copy.discount = convertFromBase(item.discount, target);
+        }
+        return copy;
+    });
+
+    if (typeof ecommerce.value === 'number') {
+        // Keep value == sum(price x quantity) after rounding the item prices
+        converted.value = Math.abs(baseItemsTotal - ecommerce.value) < 0.01
+            ? roundForCurrency(itemsTotal, target)
+            : convertFromBase(ecommerce.value, target);
+    }
+
+    return converted;
+}
+
+// ============================================================================
+// CURRENCY SWITCHER
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function () {
+    renderCurrencySwitcher();
+});
+
+/**
+ * Add the currency <select> to the header navigation
+ * Changing it saves the choice and reloads the page, so every price on
+ * the page (and every push after it) uses the new currency.
+ */
+function renderCurrencySwitcher() {
+    var navList = document.querySelector('header nav ul');
+    if (!navList || document.getElementById('currency-switcher')) return;
+
+    var selected = getSelectedCurrency();
+    var html = '<select id="currency-switcher" class="currency-switcher" aria-label="Currency">';
+    Object.keys(CURRENCIES).forEach(function (code) {
+        html += '<option value="' + code + '"' + (code === selected ? ' selected' : '') + '>'
+            + CURRENCIES[code].label + '</option>';
+    });
+    html += '</select>';
+
+    var item = document.createElement('li');
+    item.innerHTML = html;
+    navList.appendChild(item);
+
+    document.getElementById('currency-switcher').addEventListener('change', function () {
+        if (setSelectedCurrency(this.value)) {
+            window.location.reload();
+        }
+    });
+}
+
+// Export currency functions for debugging via browser console
+window.currencyDebug = {
+    get: getSelectedCurrency,
+    set: setSelectedCurrency,
+    convert: convertFromBase,
+    convertEcommerce: convertEcommerce,
+    currencies: CURRENCIES
+};
@@ -1,5 +1,7 @@
 /**
+ * ============================================================================
  * GTM dataLayer Helper Functions
+ * ============================================================================
  *
  * The dataLayer is a JavaScript array that GTM reads to get information
  * about your page, user interactions, and custom events.
@@ -7,8 +9,19 @@
  * Think of it as a "messenger" between your website and GTM.
  * You push data into the dataLayer, and GTM listens for it.
  *
- * For now, this is a placeholder - we'll implement dataLayer pushes
- * when we start learning about GTM events and variables.
+ * Every other module (basket.js, products.js, consent.js, ...) pushes through
+ * the helpers in this file instead of building raw objects by hand:
+ *
+ *   pushEvent(eventName, eventData)        - Custom events (consent_updated, ...)
+ *   pushEcommerce(eventName, ecommerce, options) - GA4 ecommerce events (add_to_cart, ...)
+ *   pushFormSubmit(formName, formId)       - Form submission tracking
+ *
+ * EVENT REGISTRY:
+ * Every event name we push is listed in DATALAYER_EVENTS together with the
+ * fields it must carry. A push with an unknown event name or a missing field
+ * is still sent (so tracking never silently stops), but a warning is logged
+ * to the console and the GTM Debug panel so the typo is caught before it
+ * reaches GTM.
  */
 
 /**
@@ -18,23 +31,181 @@
  */
 window.dataLayer = window.dataLayer || [];
 
-console.log('dataLayer.js loaded - ready for GTM integration');
+/**
+ * Queue of problems found by our own scripts (validator, storage checks, ...)
+ * Works like the dataLayer: anyone can push, and debug.js picks new entries
+ * up and shows them in the "Issues" section of the GTM Debug panel.
+ */
+window.gtmDebugIssues = window.gtmDebugIssues || [];
+
+/**
+ * Report a problem to the console and the GTM Debug panel
+ *
+ * @param {string} source - Which module found the problem (e.g. 'validator')
+ * @param {string} message - Human-readable description
+ * @param {Object} [details] - Extra data shown in the debug panel
+ */
+function reportDebugIssue(source, message, details) {
+    console.warn('[' + source + '] ' + message, details || '');
+    window.gtmDebugIssues.push({
+        source: source,
+        message: message,
+        details: details || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// ============================================================================
+// EVENT REGISTRY
+// ============================================================================
+
+/**
+ * Known dataLayer events and their required fields
+ *
+ * - ecommerce: true  -> pushed via pushEcommerce(), required fields are
+ *                       checked inside the 'ecommerce' object
+ * - ecommerce: false -> pushed via pushEvent(), required fields are
+ *                       checked on the top level of the push
+ */
+const DATALAYER_EVENTS = {
+    // GA4 ecommerce events (https://developers.google.com/analytics/devguides/collection/ga4/ecommerce)
+    'view_item_list':     { ecommerce: true, required: ['item_list_id', 'item_list_name', 'items'] },
+    'select_item':        { ecommerce: true, required: ['item_list_id', 'item_list_name', 'items'] },
+    'view_promotion':     { ecommerce: true, required: ['promotion_id', 'promotion_name', 'creative_slot', 'items'] },
+    'select_promotion':   { ecommerce: true, required: ['promotion_id', 'promotion_name', 'creative_slot'] },
+    'view_item':          { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'add_to_cart':        { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'remove_from_cart':   { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'add_to_wishlist':    { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'view_cart':          { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'begin_checkout':     { ecommerce: true, required: ['currency', 'value', 'items'] },
+    'add_shipping_info':  { ecommerce: true, required: ['currency', 'value', 'shipping_tier', 'items'] },
+    'add_payment_info':   { ecommerce: true, required: ['currency', 'value', 'payment_type', 'items'] },
+    'purchase':           { ecommerce: true, required: ['transaction_id', 'currency', 'value', 'items'] },
+    'refund':             { ecommerce: true, required: ['transaction_id', 'currency', 'value', 'items'] },
+
+    // Custom events
+    'consent_updated':    { ecommerce: false, required: ['consent_preferences'] },
+    'consent_expired':    { ecommerce: false, required: ['consent_policy_version'] },
+    'consent_reprompt':   { ecommerce: false, required: ['consent_policy_version', 'previous_policy_version'] },
+    'form_submit':        { ecommerce: false, required: ['form_name', 'form_id'] },
+    'search':             { ecommerce: false, required: ['search_term'] },
+    'basket_reminder_shown':   { ecommerce: false, required: ['basket_value', 'basket_currency', 'basket_item_count', 'basket_age_hours'] },
+    'basket_reminder_clicked': { ecommerce: false, required: ['basket_value', 'basket_currency', 'basket_item_count', 'basket_age_hours'] },
+    'thankyou_page_view': { ecommerce: false, required: ['transaction_id', 'order_value', 'order_currency', 'order_items_count'] }
+};
+
+/**
+ * Check a push against the event registry
+ * Logs a warning for unknown events and missing required fields.
+ *
+ * @param {string} eventName - The event name being pushed
+ * @param {Object} data - The object the required fields are read from
+ * @param {boolean} isEcommerce - Whether the event is pushed as ecommerce
+ * @returns {boolean} True if the push matches the registry
+ */
+function checkEventAgainstRegistry(eventName, data, isEcommerce) {
+    var definition = DATALAYER_EVENTS[eventName];
+
+    if (!definition) {
+        reportDebugIssue('dataLayer', 'Unknown event "' + eventName + '" - add it to DATALAYER_EVENTS in dataLayer.js');
+        return false;
+    }
+
+    if (definition.ecommerce !== isEcommerce) {
+        reportDebugIssue('dataLayer', 'Event "' + eventName + '" should be pushed with '
+            + (definition.ecommerce ? 'pushEcommerce()' : 'pushEvent()'));
+        return false;
+    }
+
+    var missing = definition.required.filter(function (field) {
+        return !data || data[field] === undefined || data[field] === null;
+    });
+
+    if (missing.length > 0) {
+        reportDebugIssue('dataLayer', 'Event "' + eventName + '" is missing required field(s): ' + missing.join(', '));
+        return false;
+    }
+
+    return true;
+}
+
+// ============================================================================
+// PUSH HELPERS
+// ============================================================================
+
+/**
+ * Push a custom event to the dataLayer
+ *
+ * @param {string} eventName - Registered event name (e.g. 'consent_updated')
+ * @param {Object} [eventData] - Extra top-level fields for the push
+ * @returns {Object} The object that was pushed
+ *
+ * @example
+ * pushEvent('consent_updated', { consent_preferences: consent });
+ */
+function pushEvent(eventName, eventData) {
+    var payload = Object.assign({ 'event': eventName }, eventData || {});
+
+    checkEventAgainstRegistry(eventName, payload, false);
+    window.dataLayer.push(payload);
+
+    return payload;
+}
 
 /**
- * Future implementations will include helper functions like:
+ * Push a GA4 ecommerce event to the dataLayer
+ *
+ * Clears the previous 'ecommerce' object first, so stale data from an earlier
+ * push never bleeds into this one (Google best practice). Callers no longer
+ * need to push { ecommerce: null } themselves.
+ *
+ * The ecommerce object is priced in EUR and converted to the currency the
+ * user picked. Amounts that are already final (a purchase converted up
+ * front, a refund of an order placed in another currency) are passed with
+ * { convert: false } and pushed as they are.
  *
- * pushPageView() - Push page view data
- * pushEvent(eventName, eventData) - Push custom events
- * pushFormSubmit(formName) - Track form submissions
- * pushProductClick(productData) - Track product interactions
- * pushCustomDimension(key, value) - Send custom data to analytics
+ * @param {string} eventName - Registered GA4 ecommerce event (e.g. 'add_to_cart')
+ * @param {Object} ecommerce - The ecommerce object (currency, value, items, ...)
+ * @param {Object} [options] - { convert: false } to skip the currency conversion
+ * @returns {Object} The object that was pushed
  *
- * Example of what a dataLayer push looks like:
+ * @example
+ * pushEcommerce('add_to_cart', { currency: 'EUR', value: 49.99, items: [item] });
+ * pushEcommerce('refund', { currency: order.currency, ... }, { convert: false });
+ */
+function pushEcommerce(eventName, ecommerce, options) {
+    // Prices are kept in EUR - report them in the currency the user picked
+    if (!options || options.convert !== false) {
+        ecommerce = convertEcommerce(ecommerce); // From currency.js
+    }
+
+    var payload = {
+        'event': eventName,
+        'ecommerce': ecommerce
+    };
+
+    checkEventAgainstRegistry(eventName, ecommerce, true);
+    window.dataLayer.push({ ecommerce: null }); // Clear previous ecommerce data
+    window.dataLayer.push(payload);
+
+    return payload;
+}
+
+/**
+ * Push a form submission event to the dataLayer
+ * Only metadata about the form is sent - never the values the user typed (no PII).
  *
- * window.dataLayer.push({
- *     'event': 'custom_event_name',
- *     'eventCategory': 'category',
- *     'eventAction': 'action',
- *     'eventLabel': 'label'
- * });
+ * @param {string} formName - Form name attribute (e.g. 'contact_form')
+ * @param {string} formId - Form id attribute (e.g. 'contactForm')
+ * @returns {Object} The object that was pushed
  */
+function pushFormSubmit(formName, formId) {
+    return pushEvent('form_submit', {
+        'form_name': formName,
+        'form_id': formId,
+        'form_destination': window.location.pathname
+    });
+}
+
+console.log('dataLayer.js loaded - pushEvent(), pushEcommerce() and pushFormSubmit() ready');
@@ -9,11 +9,14 @@
  * 1. Consent State Monitor - Shows current consent values (granted/denied)
  * 2. Cookie Inspector - Lists all cookies with details, auto-refreshes
  * 3. dataLayer Logger - Shows all dataLayer pushes in chronological order
- * 4. Testing Tools - Reset consent, clear cookies
+ * 4. Issues - Problems reported via reportDebugIssue() (e.g. malformed
+ *    ecommerce pushes caught by ecommerce-validator.js)
+ * 5. Testing Tools - Reset consent, clear cookies
  *
  * This is purely a CLIENT-SIDE debugging tool - it reads from:
  * - document.cookie (for cookie inspection)
  * - window.dataLayer (for event tracking)
+ * - window.gtmDebugIssues (for reported problems)
  * - localStorage (for saved consent)
  *
  * LEARNING OBJECTIVES:
@@ -32,6 +35,9 @@
     // Monitor dataLayer for changes
     monitorDataLayer();
 
+    // Monitor reported issues (validator warnings, etc.)
+    monitorDebugIssues();
+
     console.log('🐛 Debug Dashboard ready - click "GTM Debug" button to open');
 })();
 
@@ -92,6 +98,8 @@ function createDebugPanel() {
                     <span class="status-granted">Green = Granted</span>,
                     <span class="status-denied">Red = Denied</span>
                 </p>
+                <p id="consent-region-display" class="gtm-debug-help"></p>
+                <p id="privacy-signals-display" class="gtm-debug-help"></p>
                 <div id="consent-state-display" class="consent-state-grid">
                     <!-- Will be populated by updateConsentDisplay() -->
                 </div>
@@ -134,6 +142,18 @@ function createDebugPanel() {
                 </div>
             </div>
 
+            <!-- ISSUES SECTION -->
+            <div class="gtm-debug-section">
+                <h3>⚠️ Issues</h3>
+                <p class="gtm-debug-help">
+                    Problems found by our own scripts, e.g. ecommerce pushes that don't match
+                    the GA4 schema. Anything listed here would reach GTM with wrong data.
+                </p>
+                <div id="debug-issues-display" class="debug-issues-log">
+                    <!-- Will be populated by renderDebugIssues() -->
+                </div>
+            </div>
+
             <!-- TESTING TOOLS SECTION -->
             <div class="gtm-debug-section">
                 <h3>🧪 Testing Tools</h3>
@@ -178,6 +198,7 @@ function createDebugPanel() {
 function updateDebugPanel() {
     updateConsentDisplay();
     updateCookiesDisplay();
+    renderDebugIssues();
     // dataLayer is updated in real-time via monitoring
 }
 
@@ -195,32 +216,48 @@ function updateConsentDisplay() {
     const display = document.getElementById('consent-state-display');
     if (!display) return;
 
-    // Try to get saved consent from localStorage
-    let consentState = {};
-    try {
-        const saved = localStorage.getItem('gtm_consent_preferences');
-        if (saved) {
-            consentState = JSON.parse(saved);
-        }
-    } catch (e) {
-        console.error('Error reading consent from localStorage:', e);
+    // Saved consent that is still valid (consent.js) - expired or outdated
+    // choices aren't applied, so they show as the defaults. Shown as applied,
+    // i.e. after the privacy signals
+    const savedConsent = loadSavedConsent();
+    const consentState = savedConsent ? getEffectiveConsent(savedConsent) : {};
+
+    // Region rule picked in the <head> (consent-region.js) - it decides the defaults
+    const region = getConsentRegion();
+    const regionDefaults = getRegionDefaultConsent(region.rule);
+    const regionDisplay = document.getElementById('consent-region-display');
+    if (regionDisplay) {
+        const detectedFrom = {
+            query: '?consent_region= override',
+            timezone: 'time zone ' + region.timeZone + (region.country ? ' (' + region.country + ')' : ''),
+            language: 'browser language (' + region.country + ')',
+            unknown: 'nothing - strictest rule'
+        }[region.source];
+        regionDisplay.textContent = '🌍 Region rule: ' + region.rule.label + ' (' + region.rule.id + ') - detected from '
+            + detectedFrom + '. Defaults: ' + region.rule.defaultConsent
+            + ', banner ' + (region.rule.showBanner ? 'required' : 'not required') + '.';
+    }
+
+    // Browser privacy signals (consent-region.js) - they force advertising off
+    const signals = getPrivacySignals();
+    const signalsDisplay = document.getElementById('privacy-signals-display');
+    if (signalsDisplay) {
+        signalsDisplay.textContent = '🛡️ Privacy signals: Global Privacy Control ' + (signals.gpc ? 'ON' : 'off')
+            + ', Do Not Track ' + (signals.dnt ? 'ON' : 'off')
+            + (signals.any ? ' - advertising is denied automatically.' : '.');
     }
 
-    // Default consent types to check
-    const consentTypes = [
-        { key: 'analytics_storage', label: 'Analytics Storage', icon: '📊' },
-        { key: 'ad_storage', label: 'Ad Storage', icon: '📢' },
-        { key: 'ad_user_data', label: 'Ad User Data', icon: '👤' },
-        { key: 'ad_personalization', label: 'Ad Personalization', icon: '🎯' },
-        { key: 'functionality_storage', label: 'Functionality Storage', icon: '⚙️' },
-        { key: 'personalization_storage', label: 'Personalization Storage', icon: '✨' },
-        { key: 'security_storage', label: 'Security Storage', icon: '🔒' }
-    ];
+    // Every key from consent-config.js, with its label and icon
+    const consentTypes = getConsentTypes().map(key => ({ // From consent.js
+        key: key,
+        label: (CONSENT_TYPE_INFO[key] || {}).label || key,
+        icon: (CONSENT_TYPE_INFO[key] || {}).icon || '❔'
+    }));
 
     let html = '';
     consentTypes.forEach(type => {
-        // Get value from saved consent, default to 'denied' (except security)
-        let value = consentState[type.key] || (type.key === 'security_storage' ? 'granted' : 'denied');
+        // Get value from saved consent, otherwise the region default
+        let value = consentState[type.key] || regionDefaults[type.key];
         const statusClass = value === 'granted' ? 'status-granted' : 'status-denied';
 
         html += `
@@ -430,6 +467,73 @@ function clearDataLayerLog() {
     }
 }
 
+/**
+ * ============================================================================
+ * ISSUES MONITORING
+ * ============================================================================
+ */
+
+// Keep track of how many reported issues we've already seen
+let debugIssuesSeenCount = 0;
+
+/**
+ * Monitor window.gtmDebugIssues (filled by reportDebugIssue() in dataLayer.js)
+ * Same polling approach as monitorDataLayer()
+ */
+function monitorDebugIssues() {
+    setInterval(() => {
+        const issues = window.gtmDebugIssues || [];
+
+        if (issues.length > debugIssuesSeenCount) {
+            debugIssuesSeenCount = issues.length;
+            updateDebugButtonIssueCount(issues.length);
+            renderDebugIssues();
+        }
+    }, 500);
+}
+
+/**
+ * Show the number of reported issues on the floating "GTM Debug" button
+ * @param {number} count - Number of issues reported so far
+ */
+function updateDebugButtonIssueCount(count) {
+    const button = document.getElementById('gtm-debug-btn');
+    if (!button) return;
+
+    button.innerHTML = count > 0 ? `🔍 GTM Debug <span class="gtm-debug-issue-count">⚠️ ${count}</span>` : '🔍 GTM Debug';
+}
+
+/**
+ * Render all reported issues into the debug panel (most recent first)
+ */
+function renderDebugIssues() {
+    const display = document.getElementById('debug-issues-display');
+    if (!display) return;
+
+    const issues = window.gtmDebugIssues || [];
+
+    if (issues.length === 0) {
+        display.innerHTML = '<p class="gtm-debug-empty">No issues reported 🎉</p>';
+        return;
+    }
+
+    let html = '';
+    issues.slice().reverse().forEach(issue => {
+        html += `
+            <div class="debug-issue">
+                <div class="datalayer-event-header">
+                    <strong>${escapeHtml(issue.source)}</strong>
+                    <span class="datalayer-timestamp">${new Date(issue.timestamp).toLocaleTimeString()}</span>
+                </div>
+                <p class="debug-issue-message">${escapeHtml(issue.message)}</p>
+                ${issue.details ? `<pre class="datalayer-event-data">${escapeHtml(JSON.stringify(issue.details, null, 2))}</pre>` : ''}
+            </div>
+        `;
+    });
+
+    display.innerHTML = html;
+}
+
 /**
  * ============================================================================
  * TESTING TOOLS
@@ -490,7 +594,8 @@ window.gtmDebug = {
     updateCookies: updateCookiesDisplay,
     clearCookies: clearAllCookies,
     resetConsent: resetConsent,
-    viewStorage: viewLocalStorage
+    viewStorage: viewLocalStorage,
+    getIssues: () => window.gtmDebugIssues || []
 };
 
 console.log('🐛 Debug.js loaded - use window.gtmDebug for manual control');
@@ -0,0 +1,168 @@
+/**
+ * ============================================================================
+ * GA4 ECOMMERCE VALIDATOR
+ * ============================================================================
+ *
+ * Wraps window.dataLayer.push() and checks every ecommerce event against the
+ * GA4 ecommerce schema BEFORE it is handed to GTM.
+ *
+ * WHY:
+ * GTM happily forwards whatever we push. A typo like 'pirce' instead of
+ * 'price', a string price, or a 'value' that doesn't match the items will
+ * silently produce wrong revenue numbers in GA4. This file makes those
+ * mistakes loud: every problem is logged to the console and shown in the
+ * "Issues" section of the GTM Debug panel.
+ *
+ * WHAT IS CHECKED (for every push that carries an 'ecommerce' object):
+ * - items: non-empty array
+ * - items[]: item_id OR item_name, numeric price, integer quantity > 0 (if set)
+ * - currency + value: for events that carry a value (see DATALAYER_EVENTS):
+ *     - currency is a 3-letter ISO 4217 code
+ *     - value is a number
+ *     - value equals the sum of price x quantity (quantity defaults to 1)
+ * - purchase: transaction_id is a non-empty string
+ *
+ * The push is NEVER blocked - the validator only reports. Load this file
+ * right after dataLayer.js so it sees every push made by later scripts.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Allowed difference between 'value' and the items sum (floating-point slack) */
+const VALUE_TOLERANCE = 0.01;
+
+/** ISO 4217 currency codes are exactly three uppercase letters */
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Validate a single dataLayer push
+ * Pushes without an ecommerce object (consent updates, gtag() calls,
+ * the { ecommerce: null } clear) are ignored.
+ *
+ * @param {Object} push - The object being pushed to the dataLayer
+ * @returns {Array} List of problem descriptions (empty if valid)
+ */
+function validateEcommercePush(push) {
+    if (!push || typeof push !== 'object' || !push.ecommerce) {
+        return [];
+    }
+
+    var problems = [];
+    var eventName = push.event;
+    var ecommerce = push.ecommerce;
+    var definition = DATALAYER_EVENTS[eventName]; // From dataLayer.js
+
+    if (!eventName) {
+        problems.push('ecommerce object pushed without an event name');
+    }
+
+    // ---- ITEMS ----
+    var items = ecommerce.items;
+    if (!Array.isArray(items) || items.length === 0) {
+        problems.push('items must be a non-empty array');
+        items = [];
+    }
+
+    items.forEach(function (item, index) {
+        var label = 'items[' + index + ']';
+
+        if (!item || (!item.item_id && !item.item_name)) {
+            problems.push(label + ' needs item_id or item_name');
+            return;
+        }
+        if (typeof item.price !== 'number' || !isFinite(item.price)) {
+            problems.push(label + ' price must be a number (got ' + JSON.stringify(item.price) + ')');
+        }
+        if (item.quantity !== undefined
+            && (typeof item.quantity !== 'number' || item.quantity % 1 !== 0 || item.quantity <= 0)) {
+            problems.push(label + ' quantity must be an integer > 0 (got ' + JSON.stringify(item.quantity) + ')');
+        }
+    });
+
+    // ---- CURRENCY + VALUE ----
+    var expectsValue = (definition && definition.required.indexOf('value') !== -1)
+        || ecommerce.value !== undefined;
+
+    if (expectsValue) {
+        if (typeof ecommerce.currency !== 'string' || !CURRENCY_CODE_PATTERN.test(ecommerce.currency)) {
+            problems.push('currency must be a 3-letter ISO 4217 code (got ' + JSON.stringify(ecommerce.currency) + ')');
+        }
+
+        if (typeof ecommerce.value !== 'number' || !isFinite(ecommerce.value)) {
+            problems.push('value must be a number (got ' + JSON.stringify(ecommerce.value) + ')');
+        } else if (items.length > 0) {
+            var itemsTotal = getItemsTotal(items);
+            if (Math.abs(itemsTotal - ecommerce.value) > VALUE_TOLERANCE) {
+                problems.push('value ' + ecommerce.value + ' does not match sum of price x quantity (' + itemsTotal + ')');
+            }
+        }
+    }
+
+    // ---- PURCHASE ----
+    if (eventName === 'purchase'
+        && (typeof ecommerce.transaction_id !== 'string' || ecommerce.transaction_id.trim() === '')) {
+        problems.push('purchase requires a non-empty transaction_id');
+    }
+
+    return problems;
+}
+
+/**
+ * Sum price x quantity over an items array
+ * Items without a quantity count as 1, as GA4 does.
+ *
+ * @param {Array} items - GA4 items array
+ * @returns {number} Total rounded to 2 decimal places
+ */
+function getItemsTotal(items) {
+    var total = items.reduce(function (sum, item) {
+        var quantity = item.quantity !== undefined ? item.quantity : 1;
+        return sum + (Number(item.price) || 0) * (Number(quantity) || 0);
+    }, 0);
+    return Math.round(total * 100) / 100;
+}
+
+// ============================================================================
+// dataLayer.push WRAPPER
+// ============================================================================
+
+/**
+ * Replace dataLayer.push with a version that validates first
+ *
+ * The original push is still called with the same arguments, so GTM
+ * (which installs its own push wrapper when it loads) sees every push
+ * exactly as before.
+ */
+(function installEcommerceValidator() {
+    var dataLayer = window.dataLayer;
+    var originalPush = dataLayer.push;
+
+    dataLayer.push = function () {
+        for (var i = 0; i < arguments.length; i++) {
+            var push = arguments[i];
+            var problems = validateEcommercePush(push);
+
+            if (problems.length > 0) {
+                reportDebugIssue('validator', // From dataLayer.js
+                    'Malformed "' + (push.event || '(no event)') + '" push: ' + problems.join('; '),
+                    push);
+            }
+        }
+
+        return originalPush.apply(dataLayer, arguments);
+    };
+
+    console.log('ecommerce-validator.js loaded - GA4 ecommerce pushes are now validated');
+})();
+
+// Export validator functions for debugging via browser console
+window.ecommerceValidator = {
+    validate: validateEcommercePush,
+    getItemsTotal: getItemsTotal
+};
@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * PRICE FORMATTING & NUMBER PARSING - JavaScript
+ * ============================================================================
+ *
+ * One place for turning numbers into text and text into numbers, so every
+ * page shows prices the same way.
+ *
+ * FORMATTING: formatPrice() uses Intl.NumberFormat with the current locale:
+ *   formatPrice(49.99, 'EUR')  -> '49,99 €'  (hr-HR)
+ *                              -> '€49.99'   (en)
+ *
+ * PARSING: parsePrice() reads localized input back into a number. Unlike
+ * parseFloat() it never stops halfway - '49,99' is 49.99 (not 49), and text
+ * that isn't a number at all returns NaN instead of a partial result.
+ *
+ * LOCALE: the browser language (navigator.language) unless one was saved
+ * with setLocale() (localStorage 'gtm_locale'), e.g. from the console:
+ *   formatDebug.setLocale('hr-HR')
+ *
+ * Formatting is only for display - dataLayer pushes always carry plain
+ * numbers (value: 49.99), never formatted strings.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** localStorage key for a locale chosen with setLocale() */
+const LOCALE_STORAGE_KEY = 'gtm_locale';
+
+/** Used when neither the saved nor the browser locale is supported */
+const DEFAULT_LOCALE = 'en';
+
+/** Intl.NumberFormat instances are slow to create - reuse them per locale + currency */
+var priceFormatters = {};
+
+// ============================================================================
+// LOCALE
+// ============================================================================
+
+/**
+ * Get the locale used for formatting and parsing
+ * @returns {string} BCP 47 locale, e.g. 'hr-HR' or 'en-US'
+ */
+function getLocale() {
+    var candidates = [
+        localStorage.getItem(LOCALE_STORAGE_KEY),
+        navigator.language,
+        document.documentElement.lang
+    ];
+
+    for (var i = 0; i < candidates.length; i++) {
+        if (candidates[i] && isSupportedLocale(candidates[i])) {
+            return candidates[i];
+        }
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Save a locale to use instead of the browser language
+ * @param {string|null} locale - BCP 47 locale, or null to follow the browser again
+ * @returns {boolean} True if the locale was saved (or cleared)
+ */
+function setLocale(locale) {
+    if (!locale) {
+        localStorage.removeItem(LOCALE_STORAGE_KEY);
+        return true;
+    }
+    if (!isSupportedLocale(locale)) {
+        console.warn('Format: Unsupported locale', locale);
+        return false;
+    }
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    console.log('Format: Locale set to', locale);
+    return true;
+}
+
+/**
+ * Check whether Intl can format numbers for a locale
+ * @param {string} locale - BCP 47 locale
+ * @returns {boolean}
+ */
+function isSupportedLocale(locale) {
+    try {
+        return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+        return false; // Malformed tag, e.g. 'hr_HR'
+    }
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+/**
+ * Format a price for display
+ *
+ * @param {number} amount - Amount in that currency
+ * @param {string} currency - ISO 4217 code
+ * @param {string} [locale] - Defaults to getLocale()
+ * @returns {string} e.g. '49,99 €' or '€49.99'
+ *
+ * @example
+ * formatPrice(8137, 'JPY', 'en'); // '¥8,137'
+ */
+function formatPrice(amount, currency, locale) {
+    var key = (locale || getLocale()) + '|' + currency;
+
+    if (!priceFormatters[key]) {
+        try {
+            priceFormatters[key] = new Intl.NumberFormat(locale || getLocale(), {
+                style: 'currency',
+                currency: currency
+            });
+        } catch (error) {
+            // Unknown currency code - still show something readable
+            console.warn('Format: Cannot format currency', currency, error);
+            return Number(amount).toFixed(2) + ' ' + currency;
+        }
+    }
+
+    return priceFormatters[key].format(amount);
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Get the decimal and grouping separators of a locale
+ * @param {string} locale - BCP 47 locale
+ * @returns {Object} { decimal, group } e.g. { decimal: ',', group: '.' } for hr-HR
+ */
+function getNumberSeparators(locale) {
+    var separators = { decimal: '.', group: ',' };
+
+    new Intl.NumberFormat(locale).formatToParts(12345.6).forEach(function (part) {
+        if (part.type === 'decimal') separators.decimal = part.value;
+        if (part.type === 'group') separators.group = part.value;
+    });
+
+    return separators;
+}
+
+/**
+ * Parse a localized number or price
+ *
+ * Currency symbols, codes and spaces are ignored. Which of '.' and ','
+ * is the decimal separator is decided like this:
+ *   - both present         -> whichever comes last ('1.234,56' / '1,234.56')
+ *   - one of them, not followed by exactly 3 digits -> decimal ('49,99', '49.5')
+ *   - otherwise (e.g. '1,234') -> the locale decides
+ * The other separator groups digits, and only in real groups: 1-3 digits
+ * (not starting with 0), then groups of exactly 3 - anything else is NaN.
+ *
+ * @param {string|number} input - e.g. '49,99', '€1,234.50', '49,99 kn'
+ * @param {string} [locale] - Defaults to getLocale()
+ * @returns {number} The number, or NaN if the input isn't a number
+ *
+ * @example
+ * parsePrice('49,99');          // 49.99 (in any locale)
+ * parsePrice('1.234,56 €');     // 1234.56
+ * parsePrice('1,234', 'en');    // 1234
+ * parsePrice('1,234', 'hr-HR'); // 1.234
+ * parsePrice('0,999', 'en');    // NaN (not a valid group)
+ * parsePrice('1.5.6', 'en');    // NaN
+ * parsePrice('49abc');          // NaN
+ */
+function parsePrice(input, locale) {
+    if (typeof input === 'number') return isFinite(input) ? input : NaN;
+    if (typeof input !== 'string') return NaN;
+
+    // Drop currency symbols/codes and spaces (incl. the no-break spaces Intl uses)
+    var text = input
+        .replace(/\p{Sc}/gu, '')
+        .replace(/^\s*([A-Z]{3}|kn)|([A-Z]{3}|kn)\s*$/g, '')
+        .replace(/[\s']/g, '') // Spaces and apostrophes only group digits (fr-FR, de-CH)
+        .replace(/\u2212/g, '-'); // Unicode minus sign
+
+    if (!/^-?[\d.,]*\d[\d.,]*$/.test(text)) return NaN;
+
+    var lastDot = text.lastIndexOf('.');
+    var lastComma = text.lastIndexOf(',');
+    var decimal;
+
+    if (lastDot !== -1 && lastComma !== -1) {
+        decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+        var separator = lastDot !== -1 ? '.' : ',';
+        var occurrences = text.split(separator).length - 1;
+        var digitsAfter = text.length - text.lastIndexOf(separator) - 1;
+
+        if (occurrences > 1) {
+            decimal = null; // '1.234.567' - only grouping
+        } else if (digitsAfter !== 3) {
+            decimal = separator;
+        } else {
+            decimal = getNumberSeparators(locale || getLocale()).decimal === separator ? separator : null;
+        }
+    }
+
+    var group;
+    if (decimal) {
+        group = decimal === '.' ? ',' : '.';
+    } else {
+        group = lastDot !== -1 ? '.' : (lastComma !== -1 ? ',' : null);
+    }
+
+    // Grouped digits must really be groups: '1,234,567' yes, '0,999' / '1.5.6' no
+    if (group && text.indexOf(group) !== -1) {
+        var grouped = new RegExp('^-?[1-9]\\d{0,2}(\\' + group + '\\d{3})+'
+            + (decimal ? '(\\' + decimal + '\\d+)?' : '') + '$');
+        if (!grouped.test(text)) return NaN;
+    }
+
+    var normalized = text;
+    if (group) {
+        normalized = normalized.split(group).join('');
+    }
+    if (decimal === ',') {
+        normalized = normalized.replace(',', '.');
+    }
+
+    // Anything left over (e.g. '1,2,3.4,5') isn't a number
+    if (!/^-?(\d+\.?\d*|\.\d+)$/.test(normalized)) return NaN;
+
+    return Number(normalized);
+}
+
+// Export format functions for debugging via browser console
+window.formatDebug = {
+    getLocale: getLocale,
+    setLocale: setLocale,
+    formatPrice: formatPrice,
+    parsePrice: parsePrice
+};
@@ -0,0 +1,163 @@
+/**
+ * ============================================================================
+ * LIST IMPRESSION TRACKING (view_item_list)
+ * ============================================================================
+ *
+ * Pushes view_item_list only for products the user has actually SEEN,
+ * instead of one push with every product at page load.
+ *
+ * HOW IT WORKS:
+ * 1. A page creates a tracker for one GA4 item list:
+ *      var tracker = createImpressionTracker({ listId: 'products_page', listName: 'Demo Products' });
+ * 2. It registers each rendered product element together with its GA4 item
+ *    (the item keeps its original 'index' - its position in the full list):
+ *      tracker.observe(cardElement, item);
+ * 3. An IntersectionObserver watches the elements. When one becomes visible
+ *    (at least `threshold` of it on screen) its item is queued - only once
+ *    per page view, scrolling back up does not report it again.
+ * 4. The queue is flushed as ONE view_item_list push when it reaches
+ *    `batchSize` items, when `flushDelay` ms have passed since the first
+ *    queued item, or when the page is hidden/unloaded.
+ *
+ * WHY: GA4 calculates item list click-through rate as
+ *      select_item / view_item_list. Reporting products nobody scrolled to
+ *      makes that number meaningless.
+ *
+ * Browsers without IntersectionObserver report every item straight away
+ * (the old behaviour), so nothing is lost.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Default tracker settings - override per tracker via createImpressionTracker(options) */
+const IMPRESSION_DEFAULTS = {
+    batchSize: 4,       // Flush after this many newly visible items
+    flushDelay: 1000,   // ...or this many ms after the first queued item
+    threshold: 0.5      // Fraction of the element that must be visible
+};
+
+// ============================================================================
+// TRACKER FACTORY
+// ============================================================================
+
+/**
+ * Create an impression tracker for one GA4 item list
+ *
+ * @param {Object} options - Tracker settings
+ * @param {string} options.listId - GA4 item_list_id (e.g. 'products_page')
+ * @param {string} options.listName - GA4 item_list_name (e.g. 'Demo Products')
+ * @param {number} [options.batchSize] - Items per push (default IMPRESSION_DEFAULTS.batchSize)
+ * @param {number} [options.flushDelay] - Max ms an item waits in the queue
+ * @param {number} [options.threshold] - Visible fraction that counts as seen
+ * @returns {Object} Tracker with observe(element, item), flush() and disconnect()
+ */
+function createImpressionTracker(options) {
+    var settings = Object.assign({}, IMPRESSION_DEFAULTS, options);
+
+    var queue = [];             // Items seen but not pushed yet
+    var reportedIds = {};       // item_id -> true, so each item is reported once
+    var itemsByElement = new Map();
+    var flushTimer = null;
+    var observer = null;
+
+    /**
+     * Push all queued items as one view_item_list event
+     */
+    function flush() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        if (queue.length === 0) return;
+
+        var items = queue;
+        queue = [];
+
+        pushEcommerce('view_item_list', { // From dataLayer.js
+            item_list_id: settings.listId,
+            item_list_name: settings.listName,
+            currency: CURRENCY, // From basket.js
+            items: items
+        });
+
+        console.log('Impressions: Pushed view_item_list for', settings.listId, 'with', items.length, 'items');
+    }
+
+    /**
+     * Queue an item the user has just seen
+     * @param {Object} item - GA4 item (with its original index)
+     */
+    function queueItem(item) {
+        if (reportedIds[item.item_id]) return;
+        reportedIds[item.item_id] = true;
+
+        queue.push(item);
+
+        if (queue.length >= settings.batchSize) {
+            flush();
+        } else if (!flushTimer) {
+            flushTimer = setTimeout(flush, settings.flushDelay);
+        }
+    }
+
+    if ('IntersectionObserver' in window) {
+        observer = new IntersectionObserver(function (entries) {
+            entries.forEach(function (entry) {
+                // isIntersecting is true for a single visible pixel - the
+                // threshold is what counts as seen
+                if (!entry.isIntersecting || entry.intersectionRatio < settings.threshold) return;
+
+                var item = itemsByElement.get(entry.target);
+                if (item) queueItem(item);
+
+                // Seen once is enough - stop watching this element
+                observer.unobserve(entry.target);
+                itemsByElement.delete(entry.target);
+            });
+        }, { threshold: settings.threshold });
+    } else {
+        console.warn('Impressions: IntersectionObserver not supported - reporting all items immediately');
+    }
+
+    /**
+     * Flush when the page is hidden (tab switch, minimise)
+     */
+    function flushWhenHidden() {
+        if (document.visibilityState === 'hidden') flush();
+    }
+
+    // Don't lose queued items when the user leaves or switches tabs
+    // (removed again in disconnect(), so replaced trackers stay quiet)
+    document.addEventListener('visibilitychange', flushWhenHidden);
+    window.addEventListener('pagehide', flush);
+
+    return {
+        /**
+         * Start watching an element for visibility
+         * @param {Element} element - The rendered product element
+         * @param {Object} item - GA4 item for that element (include 'index')
+         */
+        observe: function (element, item) {
+            if (!observer) {
+                queueItem(item);
+                return;
+            }
+            itemsByElement.set(element, item);
+            observer.observe(element);
+        },
+
+        /** Push anything still queued right now */
+        flush: flush,
+
+        /** Stop watching all elements and page events (queued items are flushed first) */
+        disconnect: function () {
+            flush();
+            if (observer) observer.disconnect();
+            itemsByElement.clear();
+            document.removeEventListener('visibilitychange', flushWhenHidden);
+            window.removeEventListener('pagehide', flush);
+        }
+    };
+}
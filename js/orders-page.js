@@ -0,0 +1,175 @@
+/**
+ * ============================================================================
+ * MY ORDERS PAGE - JavaScript
+ * ============================================================================
+ *
+ * Lists every past order from the order history (basket.js,
+ * localStorage 'gtm_order_history') and lets the user refund a whole
+ * order or selected line items.
+ *
+ * GTM EVENTS ON THIS PAGE:
+ *   - refund: When the user refunds an order or some of its items
+ *             (pushed by pushRefundEvent in basket.js)
+ *
+ * The refund keeps the ORIGINAL transaction_id, so in GA4 it is matched
+ * with the purchase it belongs to.
+ */
+
+/** Human-readable order statuses */
+const ORDER_STATUS_LABELS = {
+    completed: 'Completed',
+    partially_refunded: 'Partially refunded',
+    refunded: 'Refunded'
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    renderOrders();
+});
+
+/**
+ * Render the order list (newest first) and attach the refund handlers
+ */
+function renderOrders() {
+    var container = document.getElementById('orders-list');
+    if (!container) return;
+
+    var history = getOrderHistory().slice().reverse(); // From basket.js
+
+    if (history.length === 0) {
+        container.innerHTML = ''
+            + '<div class="card text-center">'
+            + '  <h2>No orders yet</h2>'
+            + '  <p>Complete a purchase to see it here.</p>'
+            + '  <a href="products.html" class="btn">Browse Products</a>'
+            + '</div>';
+        return;
+    }
+
+    var html = '';
+    history.forEach(function (order) {
+        html += renderOrderCard(order);
+    });
+    container.innerHTML = html;
+
+    // "Refund selected" - only the checked lines, with the chosen quantities
+    container.querySelectorAll('.refund-selected-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            var card = this.closest('.order-card');
+            var lines = [];
+
+            card.querySelectorAll('.refund-line-check:checked').forEach(function (check) {
+                var qtyInput = card.querySelector('.refund-line-qty[data-item-id="' + check.getAttribute('data-item-id') + '"]');
+                lines.push({
+                    item_id: check.getAttribute('data-item-id'),
+                    quantity: parseInt(qtyInput.value, 10) || 0
+                });
+            });
+
+            if (lines.length === 0) {
+                showNotification('Select at least one item to refund');
+                return;
+            }
+
+            handleRefund(card.getAttribute('data-transaction-id'), lines);
+        });
+    });
+
+    // "Refund whole order" - everything not refunded yet
+    container.querySelectorAll('.refund-order-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            handleRefund(this.closest('.order-card').getAttribute('data-transaction-id'));
+        });
+    });
+}
+
+/**
+ * Build the HTML for one order
+ * @param {Object} order - Order from the history
+ * @returns {string} HTML
+ */
+function renderOrderCard(order) {
+    var isRefundable = order.status !== 'refunded';
+    var html = '';
+
+    html += '<div class="card order-card" data-transaction-id="' + escapeHtmlOrders(order.transaction_id) + '">';
+    html += '  <div class="order-card-header">';
+    html += '    <div><strong>' + escapeHtmlOrders(order.transaction_id) + '</strong>';
+    html += '      <br><small class="text-muted">' + new Date(order.created_at).toLocaleString() + '</small></div>';
+    html += '    <span class="order-status order-status-' + order.status + '">' + ORDER_STATUS_LABELS[order.status] + '</span>';
+    html += '  </div>';
+
+    html += '  <table class="orders-table">';
+    html += '    <thead><tr><th></th><th>Product</th><th>Unit Price</th><th>Qty</th><th>Refunded</th><th>Refund qty</th></tr></thead>';
+    html += '    <tbody>';
+
+    order.items.forEach(function (item) {
+        var refunded = item.refunded_quantity || 0;
+        var remaining = item.quantity - refunded;
+        var itemId = escapeHtmlOrders(item.item_id);
+
+        html += '<tr>';
+        html += '  <td>' + (remaining > 0
+            ? '<input type="checkbox" class="refund-line-check" data-item-id="' + itemId + '" aria-label="Refund ' + escapeHtmlOrders(item.item_name) + '">'
+            : '') + '</td>';
+        html += '  <td>' + escapeHtmlOrders(item.item_name) + '<br><small class="text-muted">' + itemId + '</small></td>';
+        html += '  <td>' + formatAmount(item.price, order.currency) + '</td>'; // From currency.js
+        html += '  <td>' + item.quantity + '</td>';
+        html += '  <td>' + refunded + '</td>';
+        html += '  <td>' + (remaining > 0
+            ? '<input type="number" class="refund-line-qty" data-item-id="' + itemId + '" min="1" max="' + remaining + '" value="' + remaining + '">'
+            : '&mdash;') + '</td>';
+        html += '</tr>';
+    });
+
+    html += '    </tbody>';
+    html += '  </table>';
+
+    html += '  <div class="order-card-footer">';
+    html += '    <span>Total: <strong>' + formatAmount(order.value, order.currency) + '</strong>';
+    if (order.refunded_value > 0) {
+        html += ' &middot; Refunded: ' + formatAmount(order.refunded_value, order.currency);
+    }
+    html += '    </span>';
+    if (isRefundable) {
+        html += '    <span class="order-actions">';
+        html += '      <button class="btn btn-secondary refund-selected-btn">Refund selected</button>';
+        html += '      <button class="btn refund-order-btn">Refund whole order</button>';
+        html += '    </span>';
+    }
+    html += '  </div>';
+    html += '</div>';
+
+    return html;
+}
+
+/**
+ * Refund an order (or some lines) and re-render the list
+ *
+ * GTM REQUIRED: pushRefundEvent (from basket.js) pushes the 'refund' event
+ * and updates the order's status in localStorage.
+ *
+ * @param {string} transactionId - Original transaction_id
+ * @param {Array} [lines] - [{ item_id, quantity }]; omit for a full refund
+ */
+function handleRefund(transactionId, lines) {
+    var refund = pushRefundEvent(transactionId, lines);
+
+    if (refund) {
+        showNotification('Refunded ' + formatAmount(refund.value, refund.currency) + ' for order ' + transactionId);
+    } else {
+        showNotification('Nothing to refund for order ' + transactionId);
+    }
+
+    renderOrders();
+}
+
+/**
+ * Simple HTML escape to prevent XSS in rendered orders
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlOrders(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
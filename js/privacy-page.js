@@ -0,0 +1,169 @@
+/**
+ * ============================================================================
+ * PRIVACY PAGE - JavaScript
+ * ============================================================================
+ *
+ * Shows the visitor's consent receipt on privacy.html: the consent ID,
+ * the current choice and every earlier one from the consent history
+ * (consent.js, localStorage 'gtm_consent_history'), plus a button to
+ * download the whole receipt as JSON.
+ *
+ * GTM EVENTS ON THIS PAGE: none - the receipt is for the visitor, not for
+ * analytics. Changing the choice here pushes 'consent_updated' as usual.
+ */
+
+/** Readable labels for the history columns */
+const CONSENT_METHOD_LABELS = {
+    accept_all: 'Accept All',
+    reject_all: 'Reject All',
+    save_preferences: 'Save My Preferences',
+    privacy_signal: 'Browser privacy signal'
+};
+
+const CONSENT_SOURCE_LABELS = {
+    banner: 'Banner',
+    cookie_settings: 'Cookie Settings button',
+    reprompt: 'Banner (asked again)',
+    // privacy_signal entries - which signals the browser sent
+    gpc: 'Global Privacy Control',
+    dnt: 'Do Not Track',
+    'gpc+dnt': 'Global Privacy Control and Do Not Track',
+    none: 'Signal turned off'
+};
+
+document.addEventListener('DOMContentLoaded', function () {
+    renderConsentReceipt();
+
+    var downloadButton = document.getElementById('consent-receipt-download');
+    if (downloadButton) {
+        downloadButton.addEventListener('click', downloadConsentReceipt);
+    }
+
+    // A choice made on this page (banner or Cookie Settings) - show it right away
+    window.addEventListener(CONSENT_CHANGE_EVENT, renderConsentReceipt); // From consent.js
+});
+
+/**
+ * Render the receipt summary and the history table (newest first)
+ */
+function renderConsentReceipt() {
+    var summary = document.getElementById('consent-receipt-summary');
+    var container = document.getElementById('consent-history');
+    if (!summary || !container) return;
+
+    var receipt = getConsentReceipt(); // From consent.js
+    var current = receipt.current_consent;
+
+    if (!current) {
+        summary.innerHTML = '<p class="text-muted">You haven\'t made a cookie choice in this browser yet.</p>';
+    } else {
+        // A privacy signal can deny more than the user chose - show both then
+        var chosen = formatGrantedTypes(current.consent);
+        var effective = formatGrantedTypes(receipt.effective_consent);
+        summary.innerHTML = ''
+            + '<ul class="consent-receipt-summary">'
+            + '  <li><strong>Consent ID:</strong> <code>' + escapeHtmlPrivacy(receipt.consent_id || '-') + '</code></li>'
+            + '  <li><strong>Current choice:</strong> ' + escapeHtmlPrivacy(chosen)
+            + ' (' + escapeHtmlPrivacy(formatConsentDate(current.timestamp)) + ')</li>'
+            + (effective === chosen ? '' : '  <li><strong>In effect now (browser privacy signal):</strong> '
+                + escapeHtmlPrivacy(effective) + '</li>')
+            + '  <li><strong>Policy version:</strong> ' + escapeHtmlPrivacy(current.policy_version || 'none')
+            + (current.status === 'valid' ? '' : ' - <em>' + escapeHtmlPrivacy(current.status) + ', you will be asked again</em>')
+            + '</li>'
+            + '</ul>';
+    }
+
+    if (receipt.history.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    var html = '<table class="consent-history-table">';
+    html += '<thead><tr><th>When</th><th>How</th><th>Policy</th><th>Page</th><th>Granted</th></tr></thead>';
+    html += '<tbody>';
+    receipt.history.slice().reverse().forEach(function (entry) {
+        html += '<tr>';
+        html += '  <td>' + escapeHtmlPrivacy(formatConsentDate(entry.timestamp)) + '</td>';
+        html += '  <td>' + escapeHtmlPrivacy(CONSENT_METHOD_LABELS[entry.method] || entry.method)
+            + '<br><small>' + escapeHtmlPrivacy(CONSENT_SOURCE_LABELS[entry.source] || entry.source) + '</small></td>';
+        html += '  <td>' + escapeHtmlPrivacy(entry.policy_version) + '</td>';
+        html += '  <td>' + escapeHtmlPrivacy(entry.page) + '</td>';
+        html += '  <td>' + escapeHtmlPrivacy(entry.method === 'privacy_signal'
+            ? formatSignalEntry(entry)
+            : formatGrantedTypes(entry.consent)) + '</td>';
+        html += '</tr>';
+    });
+    html += '</tbody></table>';
+
+    container.innerHTML = html;
+}
+
+/**
+ * List the granted optional consent types, e.g. 'analytics_storage, ad_storage'
+ * Mandatory types (consent-config.js) are always granted, so they're left out.
+ *
+ * @param {Object} consent - Consent types with 'granted' / 'denied'
+ * @returns {string} - Comma-separated list or 'Only necessary (all optional denied)'
+ */
+function formatGrantedTypes(consent) {
+    var mandatoryTypes = [];
+    CONSENT_CATEGORIES.forEach(function (category) { // From consent-config.js
+        if (category.mandatory) mandatoryTypes = mandatoryTypes.concat(category.consentTypes);
+    });
+
+    var granted = Object.keys(consent || {}).filter(function (type) {
+        return consent[type] === 'granted' && mandatoryTypes.indexOf(type) === -1;
+    });
+    return granted.length > 0 ? granted.join(', ') : 'Only necessary (all optional denied)';
+}
+
+/**
+ * Describe a privacy signal entry - it records what was denied, not a choice
+ * @param {Object} entry - History entry with method 'privacy_signal'
+ * @returns {string}
+ */
+function formatSignalEntry(entry) {
+    return entry.denied && entry.denied.length > 0
+        ? 'Denied by the signal: ' + entry.denied.join(', ')
+        : 'No longer denied by a signal';
+}
+
+/**
+ * Format an ISO timestamp in the user's locale
+ * @param {string} timestamp - ISO 8601 date
+ * @returns {string}
+ */
+function formatConsentDate(timestamp) {
+    var date = new Date(timestamp);
+    return isNaN(date.getTime()) ? 'unknown date' : date.toLocaleString(getLocale()); // From format.js
+}
+
+/**
+ * Download the receipt as a JSON file
+ */
+function downloadConsentReceipt() {
+    var receipt = getConsentReceipt(); // From consent.js
+    var blob = new Blob([JSON.stringify(receipt, null, 2)], { type: 'application/json' });
+    var url = URL.createObjectURL(blob);
+
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'consent-receipt-' + (receipt.consent_id || 'none') + '.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    console.log('Privacy: Consent receipt downloaded -', receipt.history.length, 'history entries');
+}
+
+/**
+ * Simple HTML escape to prevent XSS in the rendered receipt
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlPrivacy(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
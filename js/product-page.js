@@ -0,0 +1,124 @@
+/**
+ * ============================================================================
+ * PRODUCT DETAIL PAGE - JavaScript
+ * ============================================================================
+ *
+ * Renders a single product on product.html?id=SKU-00X and tracks it.
+ *
+ * ECOMMERCE FUNNEL:
+ *   view_item_list (products.html) -> select_item (card click)
+ *   -> VIEW_ITEM (this page) -> add_to_cart -> begin_checkout -> purchase
+ *
+ * GTM EVENTS ON THIS PAGE:
+ *   - view_item: When the product details are shown (pushed here)
+ *   - add_to_cart: When user clicks "Add to Basket" (via basket.js)
+ *
+ * Views and adds are also remembered for the "Recently viewed" rail
+ * (recommendations.js - only with personalization_storage consent).
+ */
+
+document.addEventListener('DOMContentLoaded', function () {
+
+    var container = document.getElementById('product-detail');
+    if (!container) return;
+
+    // Read the product id from the query string (?id=SKU-001)
+    var productId = new URLSearchParams(window.location.search).get('id');
+
+    loadCatalog()
+        .then(function () {
+            var product = productId ? getCatalogProduct(productId) : null; // From catalog.js
+
+            if (!product) {
+                renderProductNotFound(container, productId);
+                return;
+            }
+
+            renderProductDetail(container, product);
+            pushViewItem(product);
+            recordProductInteraction(product.id, 'view'); // From recommendations.js (consent-gated)
+        })
+        .catch(function () {
+            container.innerHTML = '<div class="card text-center"><p>Product could not be loaded. '
+                + 'If you opened this file directly, serve the site over HTTP instead.</p></div>';
+        });
+});
+
+/**
+ * Render the product details and wire up the "Add to Basket" button
+ * @param {Element} container - The #product-detail element
+ * @param {Object} product - Catalog product
+ */
+function renderProductDetail(container, product) {
+    document.title = product.name + ' - GTM Prčkanje';
+
+    var html = '';
+    html += '<div class="card product-detail" data-item-id="' + escapeHtmlProductPage(product.id) + '">';
+    html += '  <img class="product-image" src="' + escapeHtmlProductPage(product.image) + '"'
+        + ' alt="' + escapeHtmlProductPage(product.name) + '">';
+    html += '  <h1>' + escapeHtmlProductPage(product.name) + '</h1>';
+    html += '  <p class="text-muted">' + escapeHtmlProductPage(product.id)
+        + ' &middot; ' + escapeHtmlProductPage(product.category)
+        + ' &middot; ' + escapeHtmlProductPage(product.variant) + '</p>';
+    html += '  <p class="product-description">' + escapeHtmlProductPage(product.description) + '</p>';
+    html += '  <div class="product-price">' + formatMoney(product.price) + '</div>'; // From currency.js
+    html += '  <button id="product-add-to-basket" class="btn add-to-basket-btn">Add to Basket</button>';
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    document.getElementById('product-add-to-basket').addEventListener('click', function () {
+        // addToBasket (from basket.js) saves the item and pushes add_to_cart
+        var added = addToBasket(product.id);
+        if (added) {
+            recordProductInteraction(product.id, 'add'); // From recommendations.js
+            showNotification('Product added! "' + added.item_name + '"');
+        }
+    });
+}
+
+/**
+ * Render a friendly message when the id is missing or unknown
+ * @param {Element} container - The #product-detail element
+ * @param {string|null} productId - The id from the URL
+ */
+function renderProductNotFound(container, productId) {
+    console.warn('Product page: Unknown product id:', productId);
+
+    container.innerHTML = ''
+        + '<div class="card text-center">'
+        + '  <h2>Product not found</h2>'
+        + '  <p>We couldn\'t find a product with id <code>' + escapeHtmlProductPage(productId || '(none)') + '</code>.</p>'
+        + '  <a href="products.html" class="btn">Browse all products</a>'
+        + '</div>';
+}
+
+/**
+ * Push the view_item event to dataLayer
+ *
+ * GTM REQUIRED: Pushes 'view_item' event to dataLayer
+ * This is the "product detail view" step of the GA4 funnel, between
+ * select_item (clicked in a list) and add_to_cart.
+ *
+ * @param {Object} product - Catalog product being viewed
+ */
+function pushViewItem(product) {
+    pushEcommerce('view_item', { // From dataLayer.js
+        currency: CURRENCY, // From basket.js
+        value: product.price,
+        items: [toEcommerceItem(catalogProductToItem(product), 1)]
+    });
+
+    console.log('dataLayer: Pushed view_item event for', product.name);
+}
+
+/**
+ * Simple HTML escape to prevent XSS in the rendered product
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlProductPage(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
@@ -3,54 +3,400 @@
  * PRODUCTS PAGE - JavaScript
  * ============================================================================
  *
- * Handles the "Add to Basket" button clicks on the products page.
+ * Renders the product grid from the catalog and handles the
+ * "Add to Basket" button clicks on the products page.
  *
  * HOW IT WORKS:
- * 1. Each product card has data-* attributes storing product info
- * 2. When "Add to Basket" is clicked, we read those attributes
- * 3. We call addToBasket() from basket.js (which handles localStorage + dataLayer)
- * 4. We show a notification to the user
+ * 1. loadCatalog() (from catalog.js) fetches data/products.json
+ * 2. Each product is rendered as a .product-card into .product-grid
+ * 3. view_item_list is pushed in batches, only for cards the user actually
+ *    scrolled into view (impressions.js)
+ * 4. When a card's image or title is clicked, select_item is pushed and the
+ *    user goes to product.html?id=... (which pushes view_item)
+ * 5. When "Add to Basket" is clicked, we call addToBasket(itemId) from
+ *    basket.js (which looks the product up in the catalog, saves it to
+ *    localStorage and pushes add_to_cart)
+ * 6. We show a notification to the user
+ * 7. The heart button on each card adds/removes the product from the
+ *    wishlist (wishlist.js pushes add_to_wishlist)
+ * 8. The search box and the category/price filters re-render the grid.
+ *    A search term pushes GA4's 'search' event, and every filtered result
+ *    set is its own item list (e.g. 'category_GA4') with fresh
+ *    view_item_list impressions and positions counted from 0
  *
- * The actual dataLayer push happens inside basket.js, not here.
+ * The actual dataLayer pushes for the basket happen inside basket.js, not here.
  * This keeps the code organized: this file handles UI, basket.js handles data.
  */
 
+/** GA4 item list this page represents (used by view_item_list and select_item) */
+const PRODUCT_LIST_ID = 'products_page';
+const PRODUCT_LIST_NAME = 'Demo Products';
+
+/** Impression batching: push after this many visible cards, or after this many ms */
+const PRODUCT_IMPRESSION_BATCH_SIZE = 4;
+const PRODUCT_IMPRESSION_FLUSH_DELAY = 1000;
+
+/**
+ * Price filter options (prices in BASE_CURRENCY)
+ * 'id' becomes part of the item_list_id (e.g. 'price_under_50') and 'label'
+ * of the item_list_name - both stay the same whatever currency is shown.
+ */
+const PRODUCT_PRICE_RANGES = [
+    { id: 'under_50', label: 'Under 50 EUR', min: 0, max: 50 },
+    { id: '50_100', label: '50 - 100 EUR', min: 50, max: 100 },
+    { id: 'over_100', label: 'Over 100 EUR', min: 100, max: Infinity }
+];
+
+/** Wait this long after the last keystroke before filtering and pushing 'search' */
+const PRODUCT_SEARCH_DELAY = 500;
+
+/** Impression tracker of the list currently shown (replaced on every filter change) */
+var productListTracker = null;
+
+/** Last search_term pushed, so re-filtering by category doesn't repeat it */
+var lastSearchTerm = '';
+
 document.addEventListener('DOMContentLoaded', function () {
 
-     // Collect all products from the page into an items array for GA4
-  var allCards = document.querySelectorAll('.product-card');
-  var itemList = [];
-  allCards.forEach(function(card, index) {
-      itemList.push({
-          'item_id':       card.getAttribute('data-item-id'),
-          'item_name':     card.getAttribute('data-item-name'),
-          'price':         parseFloat(card.getAttribute('data-item-price')),
-          'item_category': card.getAttribute('data-item-category'),
-          'index':         index          // pozicija u listi (0-based)
-      });
-  });
-
-  window.dataLayer.push({ ecommerce: null }); // očisti staro
-  window.dataLayer.push({
-      'event': 'view_item_list',
-      'ecommerce': {
-          'item_list_id':   'products_page',
-          'item_list_name': 'Demo Products',
-          'currency':       'EUR',
-          'items':          itemList
-      }
-  });
-
-
-   
-    // Find all "Add to Basket" buttons
-    var buttons = document.querySelectorAll('.add-to-basket-btn');
+    var grid = document.querySelector('.product-grid');
+    if (!grid) return;
+
+    loadCatalog()
+        .then(function (products) {
+            setupProductFilters(grid, products);
+            showProductList(grid, products, getProductFilters());
+
+            console.log('Products page initialized -', products.length, 'products rendered from catalog');
+        })
+        .catch(function () {
+            grid.innerHTML = '<p class="text-muted">Products could not be loaded. '
+                + 'If you opened this file directly, serve the site over HTTP instead.</p>';
+        });
+});
+
+/**
+ * Render one result set as its own GA4 item list
+ *
+ * The previous list's tracker is disconnected (pushing anything it still
+ * had queued), then the grid is re-rendered and a new tracker starts -
+ * so every result set gets its own view_item_list with indexes from 0.
+ *
+ * @param {Element} grid - The .product-grid container
+ * @param {Array} catalog - All catalog products
+ * @param {Object} filters - { term, category, price } from getProductFilters()
+ */
+function showProductList(grid, catalog, filters) {
+    var products = filterProducts(catalog, filters);
+    var list = getProductListInfo(filters);
+
+    if (productListTracker) productListTracker.disconnect();
+
+    updateProductResultsCount(products.length, catalog.length);
+
+    if (products.length === 0) {
+        grid.innerHTML = '<p class="text-muted product-no-results">No products match your search.</p>';
+        productListTracker = null;
+        return;
+    }
+
+    renderProductGrid(grid, products);
+
+    productListTracker = observeProductImpressions(grid, products, list);
+    attachSelectItemHandlers(grid, products, list);
+    attachAddToBasketHandlers(grid);
+    attachWishlistHandlers(grid);
+}
+
+// ============================================================================
+// SEARCH & FILTERS
+// ============================================================================
+
+/**
+ * Fill the category filter and wire up the search box and filters
+ * @param {Element} grid - The .product-grid container
+ * @param {Array} catalog - All catalog products
+ */
+function setupProductFilters(grid, catalog) {
+    var form = document.getElementById('product-filters');
+    if (!form) return;
+
+    var categorySelect = document.getElementById('product-category');
+    var categories = [];
+    catalog.forEach(function (product) {
+        if (product.category && categories.indexOf(product.category) === -1) {
+            categories.push(product.category);
+        }
+    });
+    categories.forEach(function (category) {
+        categorySelect.insertAdjacentHTML('beforeend',
+            '<option value="' + escapeHtmlProduct(category) + '">' + escapeHtmlProduct(category) + '</option>');
+    });
+
+    var priceSelect = document.getElementById('product-price');
+    PRODUCT_PRICE_RANGES.forEach(function (range) {
+        // Shown in the selected currency (formatMoney from currency.js)
+        var text = range.max === Infinity ? 'Over ' + formatMoney(range.min)
+            : (range.min === 0 ? 'Under ' + formatMoney(range.max) : formatMoney(range.min) + ' - ' + formatMoney(range.max));
+        priceSelect.insertAdjacentHTML('beforeend',
+            '<option value="' + range.id + '">' + escapeHtmlProduct(text) + '</option>');
+    });
+
+    var searchTimer = null;
+
+    function apply() {
+        clearTimeout(searchTimer);
+        var filters = getProductFilters();
+        pushSearchTerm(filters.term);
+        showProductList(grid, catalog, filters);
+    }
+
+    // Typing: wait until the user pauses, so "ga4" is one search, not three
+    document.getElementById('product-search').addEventListener('input', function () {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(apply, PRODUCT_SEARCH_DELAY);
+    });
+
+    // Enter in the search box: search straight away
+    form.addEventListener('submit', function (event) {
+        event.preventDefault();
+        apply();
+    });
+
+    categorySelect.addEventListener('change', apply);
+    priceSelect.addEventListener('change', apply);
+}
+
+/**
+ * Read the current filter values from the form
+ * @returns {Object} { term, category, price } - empty strings when not set
+ */
+function getProductFilters() {
+    var search = document.getElementById('product-search');
+    var category = document.getElementById('product-category');
+    var price = document.getElementById('product-price');
+
+    return {
+        term: search ? search.value.trim() : '',
+        category: category ? category.value : '',
+        price: price ? price.value : ''
+    };
+}
+
+/**
+ * Apply the filters to the catalog
+ * The search term matches name, description, category and id (case-insensitive).
+ *
+ * @param {Array} catalog - All catalog products
+ * @param {Object} filters - { term, category, price }
+ * @returns {Array} Matching products, in catalog order
+ */
+function filterProducts(catalog, filters) {
+    var term = filters.term.toLowerCase();
+    var range = getPriceRange(filters.price);
+
+    return catalog.filter(function (product) {
+        if (filters.category && product.category !== filters.category) return false;
+        if (range && (product.price < range.min || product.price >= range.max)) return false;
+        if (!term) return true;
+
+        return [product.name, product.description, product.category, product.id]
+            .join(' ')
+            .toLowerCase()
+            .indexOf(term) !== -1;
+    });
+}
+
+/**
+ * Look up a price range by id
+ * @param {string} rangeId - PRODUCT_PRICE_RANGES id
+ * @returns {Object|null}
+ */
+function getPriceRange(rangeId) {
+    for (var i = 0; i < PRODUCT_PRICE_RANGES.length; i++) {
+        if (PRODUCT_PRICE_RANGES[i].id === rangeId) return PRODUCT_PRICE_RANGES[i];
+    }
+    return null;
+}
+
+/**
+ * Build the GA4 item list id/name for a filter combination
+ *
+ *   no filters          -> 'products_page'          / 'Demo Products'
+ *   category GA4        -> 'category_GA4'           / 'Category: GA4'
+ *   search + price      -> 'search_results_price_under_50' / 'Search results / Under 50 EUR'
+ *
+ * The search term itself is NOT part of the id (it goes to the 'search'
+ * event), so GA4 doesn't get a new list for every word typed.
+ *
+ * @param {Object} filters - { term, category, price }
+ * @returns {Object} { id, name }
+ */
+function getProductListInfo(filters) {
+    var ids = [];
+    var names = [];
+    var range = getPriceRange(filters.price);
+
+    if (filters.term) {
+        ids.push('search_results');
+        names.push('Search results');
+    }
+    if (filters.category) {
+        ids.push('category_' + filters.category);
+        names.push('Category: ' + filters.category);
+    }
+    if (range) {
+        ids.push('price_' + range.id);
+        names.push(range.label);
+    }
+
+    if (ids.length === 0) {
+        return { id: PRODUCT_LIST_ID, name: PRODUCT_LIST_NAME };
+    }
+    return { id: ids.join('_'), name: names.join(' / ') };
+}
+
+/**
+ * Push GA4's 'search' event for a new search term
+ *
+ * GTM REQUIRED: Pushes 'search' with search_term
+ * Empty terms and the same term again (e.g. when only the category
+ * changes) are not pushed.
+ *
+ * @param {string} term - Trimmed search term
+ */
+function pushSearchTerm(term) {
+    if (!term || term === lastSearchTerm) {
+        lastSearchTerm = term;
+        return;
+    }
+    lastSearchTerm = term;
+
+    pushEvent('search', { search_term: term }); // From dataLayer.js
+    console.log('dataLayer: Pushed search event for', term);
+}
+
+/**
+ * Show "Showing X of Y products" next to the filters
+ * @param {number} shown - Products in the current list
+ * @param {number} total - Products in the catalog
+ */
+function updateProductResultsCount(shown, total) {
+    var counter = document.getElementById('product-results-count');
+    if (counter) {
+        counter.textContent = 'Showing ' + shown + ' of ' + total + ' products';
+    }
+}
+
+// ============================================================================
+// RENDERING & TRACKING
+// ============================================================================
+
+/**
+ * Render the product cards from catalog data
+ *
+ * Each card keeps a data-item-id attribute so GTM "Click Element" variables
+ * can still identify which product was clicked.
+ *
+ * @param {Element} grid - The .product-grid container
+ * @param {Array} products - Catalog products (from catalog.js)
+ */
+function renderProductGrid(grid, products) {
+    var html = '';
+
+    products.forEach(function (product) {
+        var detailUrl = 'product.html?id=' + encodeURIComponent(product.id);
+
+        var wished = isInWishlist(product.id); // From wishlist.js
+
+        html += '<div class="product-card" data-item-id="' + escapeHtmlProduct(product.id) + '">';
+        html += '  <button type="button" class="wishlist-toggle' + (wished ? ' is-active' : '') + '"'
+            + ' aria-pressed="' + wished + '" aria-label="Save ' + escapeHtmlProduct(product.name) + ' to wishlist">&#9829;</button>';
+        html += '  <a href="' + detailUrl + '" class="product-link">';
+        html += '    <img class="product-image" src="' + escapeHtmlProduct(product.image) + '"'
+            + ' alt="' + escapeHtmlProduct(product.name) + '">';
+        html += '  </a>';
+        html += '  <h3><a href="' + detailUrl + '" class="product-link">' + escapeHtmlProduct(product.name) + '</a></h3>';
+        html += '  <p class="product-description">' + escapeHtmlProduct(product.description) + '</p>';
+        html += '  <div class="product-price">' + formatMoney(product.price) + '</div>'; // From currency.js
+        html += '  <button class="btn add-to-basket-btn">Add to Basket</button>';
+        html += '</div>';
+    });
+
+    grid.innerHTML = html;
+}
+
+/**
+ * Track view_item_list impressions for the rendered cards
+ *
+ * Each card is handed to an impression tracker (impressions.js) together
+ * with its GA4 item. The tracker pushes view_item_list in batches, only
+ * for cards that became visible, each card once per list.
+ *
+ * @param {Element} grid - The .product-grid container
+ * @param {Array} products - Catalog products in display order
+ * @param {Object} list - { id, name } from getProductListInfo()
+ * @returns {Object} The impression tracker
+ */
+function observeProductImpressions(grid, products, list) {
+    var tracker = createImpressionTracker({
+        listId:     list.id,
+        listName:   list.name,
+        batchSize:  PRODUCT_IMPRESSION_BATCH_SIZE,
+        flushDelay: PRODUCT_IMPRESSION_FLUSH_DELAY
+    });
+
+    grid.querySelectorAll('.product-card').forEach(function (card, index) {
+        var item = toEcommerceItem(catalogProductToItem(products[index])); // From basket.js / catalog.js
+        item.index = index; // Position in this list (0-based), kept in every batch
+        tracker.observe(card, item);
+    });
+
+    return tracker;
+}
+
+/**
+ * Push select_item when a product card's image or title is clicked
+ *
+ * GTM REQUIRED: Pushes 'select_item' event to dataLayer
+ * The push happens synchronously before the browser follows the link to
+ * product.html, so GTM sees it before the page unloads.
+ *
+ * @param {Element} grid - The .product-grid container
+ * @param {Array} products - Catalog products in display order
+ * @param {Object} list - { id, name } of the list shown
+ */
+function attachSelectItemHandlers(grid, products, list) {
+    var cards = grid.querySelectorAll('.product-card');
+
+    cards.forEach(function (card, index) {
+        card.querySelectorAll('.product-link').forEach(function (link) {
+            link.addEventListener('click', function () {
+                var item = toEcommerceItem(catalogProductToItem(products[index]));
+                item.index = index; // Same position as in view_item_list
+
+                pushEcommerce('select_item', {
+                    item_list_id:   list.id,
+                    item_list_name: list.name,
+                    items:          [item]
+                });
+
+                console.log('dataLayer: Pushed select_item event for', item.item_name);
+            });
+        });
+    });
+}
+
+/**
+ * Wire up the "Add to Basket" buttons inside the grid
+ * @param {Element} grid - The .product-grid container
+ */
+function attachAddToBasketHandlers(grid) {
+    var buttons = grid.querySelectorAll('.add-to-basket-btn');
 
     buttons.forEach(function (button) {
         button.addEventListener('click', function () {
 
             // The product card is the parent element of the button
-            // It contains all the product data in data-* attributes
             var card = this.closest('.product-card');
 
             if (!card) {
@@ -58,34 +404,52 @@ document.addEventListener('DOMContentLoaded', function () {
                 return;
             }
 
-            // Read product data from the card's data-* attributes
-            // These values will be passed to basket.js and eventually
-            // included in the GA4 add_to_cart dataLayer push
-            var product = {
-                item_id:       card.getAttribute('data-item-id'),
-                item_name:     card.getAttribute('data-item-name'),
-                price:         parseFloat(card.getAttribute('data-item-price')),
-                item_category: card.getAttribute('data-item-category')
-            };
-
-            // Validate that we got valid product data
-            if (!product.item_id || !product.item_name || isNaN(product.price)) {
-                console.error('Invalid product data:', product);
-                return;
-            }
-
             // Add the product to the basket
             // This function (from basket.js) handles:
+            //   - Looking the product up in the catalog by id
             //   - Saving to localStorage
             //   - Pushing add_to_cart event to dataLayer for GTM
             //   - Updating the basket counter badge
-            addToBasket(product);
+            var product = addToBasket(card.getAttribute('data-item-id'));
 
             // Show a notification to the user
             // showNotification() is defined in main.js
-            showNotification('Product added! "' + product.item_name + '"');
+            if (product) {
+                recordProductInteraction(product.item_id, 'add'); // From recommendations.js (consent-gated)
+                showNotification('Product added! "' + product.item_name + '"');
+            }
         });
     });
+}
 
-    console.log('Products page initialized -', buttons.length, 'Add to Basket buttons ready');
-});
+/**
+ * Wire up the heart (wishlist) buttons inside the grid
+ *
+ * GTM REQUIRED: toggleWishlist (from wishlist.js) pushes 'add_to_wishlist'
+ * when a product is added. Removing pushes nothing.
+ *
+ * @param {Element} grid - The .product-grid container
+ */
+function attachWishlistHandlers(grid) {
+    grid.querySelectorAll('.wishlist-toggle').forEach(function (button) {
+        button.addEventListener('click', function () {
+            var card = this.closest('.product-card');
+            var wished = toggleWishlist(card.getAttribute('data-item-id'));
+
+            this.classList.toggle('is-active', wished);
+            this.setAttribute('aria-pressed', String(wished));
+            showNotification(wished ? 'Saved to your wishlist' : 'Removed from your wishlist');
+        });
+    });
+}
+
+/**
+ * Simple HTML escape to prevent XSS in rendered product cards
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlProduct(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
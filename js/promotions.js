@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * INTERNAL PROMOTIONS (view_promotion / select_promotion)
+ * ============================================================================
+ *
+ * Renders promotional banners into placeholder slots and tracks them with
+ * the GA4 promotion events.
+ *
+ * HOW IT WORKS:
+ * 1. A page marks where banners go with an empty element:
+ *      <div class="promo-slot" data-promo-slot="home_hero"></div>
+ * 2. Every promotion in PROMOTIONS whose creative_slot matches is rendered
+ *    into that slot (the promoted product comes from the catalog).
+ * 3. view_promotion is pushed when a banner becomes visible - once per
+ *    banner per page view (IntersectionObserver, like impressions.js).
+ * 4. select_promotion is pushed when a banner is clicked, and the promotion
+ *    is remembered for the rest of the session (see PROMOTION ATTRIBUTION
+ *    in basket.js), so following add_to_cart and purchase items carry its
+ *    promotion_id / promotion_name.
+ *
+ * GA4 reads promotion_id, promotion_name, creative_name and creative_slot
+ * for the Reports > Monetization > Promotions report.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Promotion banners
+ *
+ * GA4 fields:  promotion_id, promotion_name, creative_name, creative_slot
+ * Display:     headline, text, cta
+ * item_id:     Catalog product the banner promotes (sent as the GA4 item
+ *              and used as the link target product.html?id=...)
+ */
+const PROMOTIONS = [
+    {
+        promotion_id: 'PROMO_SHOP_BUNDLE',
+        promotion_name: 'Complete Shop Tracking Bundle',
+        creative_name: 'bundle_hero_v1',
+        creative_slot: 'home_hero',
+        item_id: 'SKU-004',
+        headline: 'Everything you need to track a shop',
+        text: 'One bundle: ecommerce dataLayer, GA4 events and GTM setup.',
+        cta: 'See the bundle'
+    },
+    {
+        promotion_id: 'PROMO_SST_WORKSHOP',
+        promotion_name: 'Server-Side Tagging Workshop',
+        creative_name: 'sst_banner_v1',
+        creative_slot: 'home_secondary',
+        item_id: 'SKU-007',
+        headline: 'New: server-side tagging workshop',
+        text: 'Move your tags to a server container - hands-on, in one day.',
+        cta: 'Book a seat'
+    },
+    {
+        promotion_id: 'PROMO_GA4_WEEK',
+        promotion_name: 'GA4 Week',
+        creative_name: 'ga4_week_strip',
+        creative_slot: 'products_top',
+        item_id: 'SKU-002',
+        headline: 'GA4 Week: 20% off with code GA4FAN',
+        text: 'Advanced GA4 Tracking is this week\'s featured course.',
+        cta: 'View the course'
+    }
+];
+
+/** Fraction of a banner that must be visible to count as seen */
+const PROMOTION_VIEW_THRESHOLD = 0.5;
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function () {
+    var slots = document.querySelectorAll('[data-promo-slot]');
+    if (slots.length === 0) return;
+
+    loadCatalog() // From catalog.js
+        .then(function () {
+            var observe = createPromotionViewTracker();
+
+            slots.forEach(function (slot) {
+                renderPromotionSlot(slot).forEach(function (banner) {
+                    observe(banner);
+                    attachSelectPromotionHandler(banner);
+                });
+            });
+        })
+        .catch(function () {
+            console.warn('Promotions: Catalog unavailable - banners not rendered');
+        });
+});
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Render all promotions configured for one slot
+ * @param {Element} slot - Element with data-promo-slot
+ * @returns {Array} Rendered banner elements
+ */
+function renderPromotionSlot(slot) {
+    var slotName = slot.getAttribute('data-promo-slot');
+    var html = '';
+
+    PROMOTIONS.forEach(function (promotion) {
+        if (promotion.creative_slot !== slotName) return;
+
+        html += '<a class="promo-banner" href="product.html?id=' + encodeURIComponent(promotion.item_id) + '"'
+            + ' data-promotion-id="' + escapeHtmlPromotion(promotion.promotion_id) + '">';
+        html += '  <strong class="promo-headline">' + escapeHtmlPromotion(promotion.headline) + '</strong>';
+        html += '  <span class="promo-text">' + escapeHtmlPromotion(promotion.text) + '</span>';
+        html += '  <span class="promo-cta">' + escapeHtmlPromotion(promotion.cta) + ' &rarr;</span>';
+        html += '</a>';
+    });
+
+    slot.innerHTML = html;
+    return Array.prototype.slice.call(slot.querySelectorAll('.promo-banner'));
+}
+
+// ============================================================================
+// TRACKING
+// ============================================================================
+
+/**
+ * Look up a promotion by id
+ * @param {string} promotionId - promotion_id
+ * @returns {Object|null} Promotion config
+ */
+function getPromotion(promotionId) {
+    for (var i = 0; i < PROMOTIONS.length; i++) {
+        if (PROMOTIONS[i].promotion_id === promotionId) return PROMOTIONS[i];
+    }
+    return null;
+}
+
+/**
+ * Build the GA4 ecommerce object for a promotion event
+ * @param {Object} promotion - Promotion config
+ * @returns {Object} { promotion_id, promotion_name, creative_name, creative_slot, items }
+ */
+function toPromotionEcommerce(promotion) {
+    var data = {
+        promotion_id: promotion.promotion_id,
+        promotion_name: promotion.promotion_name,
+        creative_name: promotion.creative_name,
+        creative_slot: promotion.creative_slot,
+        items: []
+    };
+
+    var product = getCatalogProduct(promotion.item_id); // From catalog.js
+    if (product) {
+        data.items.push(toEcommerceItem(catalogProductToItem(product), 1)); // From basket.js
+    }
+    return data;
+}
+
+/**
+ * Create the view_promotion tracker
+ * Each banner is reported once per page view, when it becomes visible.
+ *
+ * @returns {Function} observe(bannerElement)
+ */
+function createPromotionViewTracker() {
+    var reportedIds = {};
+
+    function report(banner) {
+        var promotion = getPromotion(banner.getAttribute('data-promotion-id'));
+        if (!promotion || reportedIds[promotion.promotion_id]) return;
+        reportedIds[promotion.promotion_id] = true;
+
+        // GTM REQUIRED: view_promotion
+        pushEcommerce('view_promotion', toPromotionEcommerce(promotion)); // From dataLayer.js
+        console.log('dataLayer: Pushed view_promotion for', promotion.promotion_id);
+    }
+
+    if (!('IntersectionObserver' in window)) {
+        console.warn('Promotions: IntersectionObserver not supported - reporting all banners immediately');
+        return report;
+    }
+
+    var observer = new IntersectionObserver(function (entries) {
+        entries.forEach(function (entry) {
+            // isIntersecting alone is true for a barely visible banner
+            if (!entry.isIntersecting || entry.intersectionRatio < PROMOTION_VIEW_THRESHOLD) return;
+            report(entry.target);
+            observer.unobserve(entry.target);
+        });
+    }, { threshold: PROMOTION_VIEW_THRESHOLD });
+
+    return function (banner) {
+        observer.observe(banner);
+    };
+}
+
+/**
+ * Push select_promotion when a banner is clicked and remember the
+ * promotion for the rest of the session
+ *
+ * GTM REQUIRED: Pushes 'select_promotion' event to dataLayer
+ * The push happens synchronously before the browser follows the link.
+ *
+ * @param {Element} banner - Rendered .promo-banner element
+ */
+function attachSelectPromotionHandler(banner) {
+    banner.addEventListener('click', function () {
+        var promotion = getPromotion(banner.getAttribute('data-promotion-id'));
+        if (!promotion) return;
+
+        pushEcommerce('select_promotion', toPromotionEcommerce(promotion));
+
+        // add_to_cart / purchase in this session will carry the promotion
+        savePromotionAttribution(promotion); // From basket.js
+
+        console.log('dataLayer: Pushed select_promotion for', promotion.promotion_id);
+    });
+}
+
+/**
+ * Simple HTML escape to prevent XSS in rendered banners
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlPromotion(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
@@ -0,0 +1,284 @@
+/**
+ * ============================================================================
+ * RECOMMENDATIONS - Recently viewed & "You may also like"
+ * ============================================================================
+ *
+ * Remembers which products the user viewed and added to the basket, and
+ * shows two product rails built from that:
+ *
+ *   recently_viewed   - products from the user's own history, newest first
+ *   related_products  - products from the same item_category as the
+ *                       products in focus (basket, last order or history),
+ *                       topped up from the rest of the catalog
+ *
+ * A page marks where a rail goes with an empty element:
+ *   <section class="recommendation-rail" data-rail="recently_viewed"></section>
+ * A rail with nothing to show stays hidden.
+ *
+ * GA4: each rail is its own item list (item_list_id 'recently_viewed' /
+ * 'related_products'), with view_item_list impressions (impressions.js) and
+ * select_item when a product in the rail is clicked - exactly like the
+ * product grid.
+ *
+ * CONSENT: the history is personalization data. It is only stored while
+ * personalization_storage is granted (consent.js); without that consent
+ * nothing is recorded, and a history saved earlier is deleted.
+ *
+ * LOCALSTORAGE KEY: 'gtm_product_history'
+ * FORMAT: [{ item_id, action: 'view' | 'add', at }] - newest first, one
+ * entry per product
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** localStorage key for the viewed/added products */
+const PRODUCT_HISTORY_STORAGE_KEY = 'gtm_product_history';
+
+/** Products kept in the history */
+const PRODUCT_HISTORY_MAX_ENTRIES = 12;
+
+/** Products shown per rail */
+const RECOMMENDATION_RAIL_SIZE = 4;
+
+/** Rails - 'id' and 'name' are the GA4 item_list_id / item_list_name */
+const RECOMMENDATION_RAILS = {
+    recently_viewed:  { id: 'recently_viewed', name: 'Recently Viewed', title: 'Recently viewed' },
+    related_products: { id: 'related_products', name: 'You May Also Like', title: 'You may also like' }
+};
+
+// ============================================================================
+// HISTORY (consent-gated)
+// ============================================================================
+
+/**
+ * Check whether the user allows personalization storage
+ * @returns {boolean} True only if personalization_storage was granted
+ */
+function hasPersonalizationConsent() {
+    var consent = loadSavedConsent(); // From consent.js
+    return !!consent && consent.personalization_storage === 'granted';
+}
+
+/**
+ * Get the stored product history
+ * Without consent this is always empty (and any old history is removed).
+ *
+ * @returns {Array} [{ item_id, action, at }] newest first
+ */
+function getProductHistory() {
+    if (!hasPersonalizationConsent()) {
+        clearProductHistory();
+        return [];
+    }
+
+    try {
+        var saved = JSON.parse(localStorage.getItem(PRODUCT_HISTORY_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error reading product history:', error);
+        return [];
+    }
+}
+
+/**
+ * Remember that a product was viewed or added to the basket
+ * Does nothing unless personalization_storage is granted.
+ *
+ * @param {string} itemId - Catalog product id
+ * @param {string} action - 'view' or 'add'
+ */
+function recordProductInteraction(itemId, action) {
+    if (!hasPersonalizationConsent()) return;
+
+    var history = getProductHistory().filter(function (entry) {
+        return entry.item_id !== itemId;
+    });
+    history.unshift({ item_id: itemId, action: action, at: new Date().toISOString() });
+
+    try {
+        localStorage.setItem(PRODUCT_HISTORY_STORAGE_KEY,
+            JSON.stringify(history.slice(0, PRODUCT_HISTORY_MAX_ENTRIES)));
+    } catch (error) {
+        console.error('Error saving product history:', error);
+    }
+}
+
+/**
+ * Delete the stored history (consent denied or withdrawn)
+ */
+function clearProductHistory() {
+    if (localStorage.getItem(PRODUCT_HISTORY_STORAGE_KEY) !== null) {
+        localStorage.removeItem(PRODUCT_HISTORY_STORAGE_KEY);
+        console.log('Recommendations: History deleted - personalization_storage is not granted');
+    }
+}
+
+// ============================================================================
+// PICKING PRODUCTS
+// ============================================================================
+
+/**
+ * Products from the history, newest first
+ * @param {Array} excludeIds - Product ids not to show (e.g. already in the basket)
+ * @returns {Array} Catalog products
+ */
+function getRecentlyViewedProducts(excludeIds) {
+    return getProductHistory()
+        .map(function (entry) { return getCatalogProduct(entry.item_id); }) // From catalog.js
+        .filter(function (product) {
+            return product && excludeIds.indexOf(product.id) === -1;
+        })
+        .slice(0, RECOMMENDATION_RAIL_SIZE);
+}
+
+/**
+ * Products related to the ones in focus
+ * Same item_category first, then the rest of the catalog in catalog order.
+ *
+ * @param {Array} seedIds - Products in focus (never recommended themselves)
+ * @param {Array} excludeIds - Other product ids not to show
+ * @returns {Array} Catalog products (empty when there is nothing in focus)
+ */
+function getRelatedProducts(seedIds, excludeIds) {
+    if (seedIds.length === 0) return [];
+
+    var categories = seedIds
+        .map(getCatalogProduct)
+        .filter(Boolean)
+        .map(function (product) { return product.category; });
+
+    var candidates = getCatalogProducts().filter(function (product) {
+        return seedIds.indexOf(product.id) === -1 && excludeIds.indexOf(product.id) === -1;
+    });
+
+    var sameCategory = candidates.filter(function (product) {
+        return categories.indexOf(product.category) !== -1;
+    });
+    var others = candidates.filter(function (product) {
+        return categories.indexOf(product.category) === -1;
+    });
+
+    return sameCategory.concat(others).slice(0, RECOMMENDATION_RAIL_SIZE);
+}
+
+/**
+ * Which products the current page is "about"
+ *   basket.html   -> the basket items
+ *   thankyou.html -> the order just placed
+ *   elsewhere     -> the user's history
+ *
+ * @returns {Array} Product ids
+ */
+function getRecommendationSeedIds() {
+    var basketIds = getBasket().map(function (item) { return item.item_id; }); // From basket.js
+    if (basketIds.length > 0) return basketIds;
+
+    if (document.getElementById('order-summary')) {
+        var orders = getOrderHistory(); // From basket.js
+        var lastOrder = orders[orders.length - 1];
+        if (lastOrder) {
+            return lastOrder.items.map(function (item) { return item.item_id; });
+        }
+    }
+
+    return getProductHistory().map(function (entry) { return entry.item_id; });
+}
+
+// ============================================================================
+// RENDERING & TRACKING
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', function () {
+    // Consent withdrawn since the last visit -> forget the history now
+    if (!hasPersonalizationConsent()) clearProductHistory();
+
+    var slots = document.querySelectorAll('[data-rail]');
+    if (slots.length === 0) return;
+
+    loadCatalog() // From catalog.js
+        .then(function () {
+            var seedIds = getRecommendationSeedIds();
+            var basketIds = getBasket().map(function (item) { return item.item_id; });
+
+            slots.forEach(function (slot) {
+                var rail = RECOMMENDATION_RAILS[slot.getAttribute('data-rail')];
+                if (!rail) return;
+
+                var products = rail.id === 'recently_viewed'
+                    ? getRecentlyViewedProducts(basketIds)
+                    : getRelatedProducts(seedIds, basketIds);
+
+                renderRecommendationRail(slot, rail, products);
+            });
+        })
+        .catch(function () {
+            console.warn('Recommendations: Catalog unavailable - rails not rendered');
+        });
+});
+
+/**
+ * Render one rail and start tracking it as its own GA4 item list
+ * @param {Element} slot - Element with data-rail
+ * @param {Object} rail - Entry from RECOMMENDATION_RAILS
+ * @param {Array} products - Catalog products to show
+ */
+function renderRecommendationRail(slot, rail, products) {
+    if (products.length === 0) {
+        slot.style.display = 'none';
+        return;
+    }
+
+    var html = '<h2>' + escapeHtmlRecommendation(rail.title) + '</h2>';
+    html += '<div class="rail-items">';
+    products.forEach(function (product) {
+        html += '<a class="rail-card" href="product.html?id=' + encodeURIComponent(product.id) + '"'
+            + ' data-item-id="' + escapeHtmlRecommendation(product.id) + '">';
+        html += '  <img src="' + escapeHtmlRecommendation(product.image) + '" alt="">';
+        html += '  <span class="rail-name">' + escapeHtmlRecommendation(product.name) + '</span>';
+        html += '  <span class="rail-price">' + formatMoney(product.price) + '</span>'; // From currency.js
+        html += '</a>';
+    });
+    html += '</div>';
+
+    slot.innerHTML = html;
+    slot.style.display = '';
+
+    var tracker = createImpressionTracker({ listId: rail.id, listName: rail.name }); // From impressions.js
+
+    slot.querySelectorAll('.rail-card').forEach(function (card, index) {
+        var item = toEcommerceItem(catalogProductToItem(products[index])); // From basket.js / catalog.js
+        item.index = index;
+        tracker.observe(card, item);
+
+        // GTM REQUIRED: select_item with this rail's list, before the link is followed
+        card.addEventListener('click', function () {
+            pushEcommerce('select_item', { // From dataLayer.js
+                item_list_id: rail.id,
+                item_list_name: rail.name,
+                items: [item]
+            });
+            console.log('dataLayer: Pushed select_item from', rail.id, 'for', item.item_name);
+        });
+    });
+}
+
+/**
+ * Simple HTML escape to prevent XSS in rendered rails
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlRecommendation(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
+
+// Export recommendation functions for debugging via browser console
+window.recommendationsDebug = {
+    getHistory: getProductHistory,
+    record: recordProductInteraction,
+    clear: clearProductHistory,
+    hasConsent: hasPersonalizationConsent
+};
@@ -0,0 +1,117 @@
+/**
+ * ============================================================================
+ * WISHLIST PAGE - JavaScript
+ * ============================================================================
+ *
+ * Lists the products on the wishlist (wishlist.js, localStorage
+ * 'gtm_wishlist') with "Move to basket" and "Remove" actions.
+ *
+ * GTM EVENTS ON THIS PAGE:
+ *   - add_to_cart: When the user moves a product (or all of them) to the
+ *                  basket (pushed by addToBasket in basket.js)
+ *
+ * Removing a product pushes nothing - GA4 has no event for it.
+ */
+
+document.addEventListener('DOMContentLoaded', function () {
+    // Names and prices come from the catalog (only ids are stored)
+    loadCatalog() // From catalog.js
+        .then(renderWishlist)
+        .catch(function () {
+            var container = document.getElementById('wishlist-items');
+            if (container) {
+                container.innerHTML = '<p class="text-muted">Products could not be loaded. '
+                    + 'If you opened this file directly, serve the site over HTTP instead.</p>';
+            }
+        });
+});
+
+/**
+ * Render the wishlist and attach the action handlers
+ */
+function renderWishlist() {
+    var container = document.getElementById('wishlist-items');
+    if (!container) return;
+
+    // Products removed from the catalog can't be shown or bought
+    var products = getWishlist() // From wishlist.js
+        .map(function (entry) { return getCatalogProduct(entry.item_id); })
+        .filter(Boolean);
+
+    if (products.length === 0) {
+        container.innerHTML = ''
+            + '<div class="card text-center">'
+            + '  <h2>Your wishlist is empty</h2>'
+            + '  <p>Tap the &hearts; on a product to save it for later.</p>'
+            + '  <a href="products.html" class="btn">Browse Products</a>'
+            + '</div>';
+        return;
+    }
+
+    var html = '<div class="card">';
+    html += '<ul class="wishlist-list">';
+    products.forEach(function (product) {
+        var itemId = escapeHtmlWishlist(product.id);
+
+        html += '<li class="wishlist-row" data-item-id="' + itemId + '">';
+        html += '  <a href="product.html?id=' + encodeURIComponent(product.id) + '" class="wishlist-name">'
+            + escapeHtmlWishlist(product.name) + '</a>';
+        html += '  <span class="wishlist-price">' + formatMoney(product.price) + '</span>'; // From currency.js
+        html += '  <span class="wishlist-actions">';
+        html += '    <button class="btn wishlist-move-btn" data-item-id="' + itemId + '">Move to basket</button>';
+        html += '    <button class="btn btn-secondary wishlist-remove-btn" data-item-id="' + itemId + '">Remove</button>';
+        html += '  </span>';
+        html += '</li>';
+    });
+    html += '</ul>';
+    html += '<div class="wishlist-footer">';
+    html += '  <button id="wishlist-move-all-btn" class="btn">Move all to basket</button>';
+    html += '</div>';
+    html += '</div>';
+
+    container.innerHTML = html;
+
+    // "Move to basket" - add_to_cart via basket.js, then off the wishlist
+    container.querySelectorAll('.wishlist-move-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            var product = moveWishlistItemToBasket(this.getAttribute('data-item-id')); // From wishlist.js
+            renderWishlist();
+            if (product) {
+                recordProductInteraction(product.item_id, 'add'); // From recommendations.js (consent-gated)
+                showNotification('Moved to basket: "' + product.item_name + '"');
+            }
+        });
+    });
+
+    container.querySelectorAll('.wishlist-remove-btn').forEach(function (btn) {
+        btn.addEventListener('click', function () {
+            removeFromWishlist(this.getAttribute('data-item-id')); // From wishlist.js
+            renderWishlist();
+            showNotification('Removed from your wishlist');
+        });
+    });
+
+    // "Move all to basket" - one add_to_cart per product, like clicking each
+    document.getElementById('wishlist-move-all-btn').addEventListener('click', function () {
+        var moved = 0;
+        products.forEach(function (product) {
+            if (moveWishlistItemToBasket(product.id)) {
+                recordProductInteraction(product.id, 'add');
+                moved++;
+            }
+        });
+        renderWishlist();
+        showNotification(moved + (moved === 1 ? ' product' : ' products') + ' moved to basket');
+    });
+}
+
+/**
+ * Simple HTML escape to prevent XSS in the rendered wishlist
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtmlWishlist(str) {
+    var div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+}
@@ -0,0 +1,164 @@
+/**
+ * ============================================================================
+ * WISHLIST MODULE - JavaScript
+ * ============================================================================
+ *
+ * Saved-for-later products, kept separately from the basket.
+ *
+ * KEY CONCEPTS FOR GTM LEARNING:
+ * - Adding a product pushes GA4's 'add_to_wishlist' event. GA4 has no
+ *   "remove from wishlist" event, so removing is silent.
+ * - "Move to basket" uses addToBasket() from basket.js, so it pushes the
+ *   normal 'add_to_cart' - the item is then removed from the wishlist.
+ * - In GA4 you can build remarketing audiences from these events, e.g.
+ *   "added to wishlist but never purchased".
+ *
+ * LOCALSTORAGE KEY: 'gtm_wishlist'
+ * FORMAT: [{ item_id: 'SKU-001', added_at: '2026-01-31T10:00:00.000Z' }]
+ * Only ids are stored - names and prices always come from the catalog
+ * (catalog.js must be loaded), so the wishlist never shows stale prices.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** localStorage key for the wishlist (separate from BASKET_STORAGE_KEY) */
+const WISHLIST_STORAGE_KEY = 'gtm_wishlist';
+
+// ============================================================================
+// WISHLIST STATE (localStorage)
+// ============================================================================
+
+/**
+ * Get the current wishlist from localStorage
+ * @returns {Array} [{ item_id, added_at }] (empty array if none)
+ */
+function getWishlist() {
+    try {
+        var saved = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.error('Error reading wishlist from localStorage:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the wishlist to localStorage
+ * @param {Array} wishlist - [{ item_id, added_at }]
+ */
+function saveWishlist(wishlist) {
+    try {
+        localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(wishlist));
+    } catch (error) {
+        console.error('Error saving wishlist to localStorage:', error);
+    }
+}
+
+/**
+ * Check whether a product is on the wishlist
+ * @param {string} itemId - Catalog product id
+ * @returns {boolean}
+ */
+function isInWishlist(itemId) {
+    return getWishlist().some(function (entry) {
+        return entry.item_id === itemId;
+    });
+}
+
+// ============================================================================
+// WISHLIST OPERATIONS (with dataLayer pushes)
+// ============================================================================
+
+/**
+ * Add a product to the wishlist
+ *
+ * GTM REQUIRED: Pushes 'add_to_wishlist' event to dataLayer
+ * Adding a product that is already on the wishlist does nothing (and
+ * pushes nothing).
+ *
+ * @param {string} itemId - Catalog product id (SKU), e.g. 'SKU-001'
+ * @returns {Object|null} The added product (GA4 item fields) or null
+ */
+function addToWishlist(itemId) {
+    var catalogProduct = getCatalogProduct(itemId); // From catalog.js
+    if (!catalogProduct) {
+        console.error('Wishlist: Unknown product id (or catalog not loaded yet):', itemId);
+        return null;
+    }
+    if (isInWishlist(itemId)) return null;
+
+    var product = catalogProductToItem(catalogProduct);
+    var wishlist = getWishlist();
+    wishlist.push({ item_id: itemId, added_at: new Date().toISOString() });
+    saveWishlist(wishlist);
+
+    // =========================================================================
+    // GTM REQUIRED: Push add_to_wishlist event to dataLayer
+    // =========================================================================
+    //
+    // WHY: Shows purchase intent without a purchase. GA4 uses it for the
+    //       "Items added to wishlist" metric and for audiences.
+    //
+    // SCHEMA: same shape as add_to_cart (currency, value, items)
+    // =========================================================================
+    pushEcommerce('add_to_wishlist', {
+        currency: CURRENCY, // From basket.js
+        value: product.price,
+        items: [toEcommerceItem(product, 1)]
+    });
+
+    console.log('dataLayer: Pushed add_to_wishlist event for', product.item_name);
+    return product;
+}
+
+/**
+ * Remove a product from the wishlist (no GA4 event exists for this)
+ * @param {string} itemId - Catalog product id
+ */
+function removeFromWishlist(itemId) {
+    saveWishlist(getWishlist().filter(function (entry) {
+        return entry.item_id !== itemId;
+    }));
+    console.log('Wishlist: Removed', itemId);
+}
+
+/**
+ * Add or remove a product (the heart button on product cards)
+ * @param {string} itemId - Catalog product id
+ * @returns {boolean} True if the product is now on the wishlist
+ */
+function toggleWishlist(itemId) {
+    if (isInWishlist(itemId)) {
+        removeFromWishlist(itemId);
+        return false;
+    }
+    return addToWishlist(itemId) !== null;
+}
+
+/**
+ * Move a product from the wishlist to the basket
+ *
+ * GTM REQUIRED: addToBasket() (from basket.js) pushes 'add_to_cart'
+ *
+ * @param {string} itemId - Catalog product id
+ * @returns {Object|null} The added product or null if it isn't in the catalog
+ */
+function moveWishlistItemToBasket(itemId) {
+    var product = addToBasket(itemId);
+    if (product) {
+        removeFromWishlist(itemId);
+    }
+    return product;
+}
+
+// Export wishlist functions for debugging via browser console
+window.wishlistDebug = {
+    get: getWishlist,
+    add: addToWishlist,
+    remove: removeFromWishlist,
+    toggle: toggleWishlist,
+    moveToBasket: moveWishlistItemToBasket,
+    clear: function () { localStorage.removeItem(WISHLIST_STORAGE_KEY); }
+};